@@ -0,0 +1,84 @@
+const axios = require('axios');
+
+/**
+ * OIDC providers are configured entirely through the environment:
+ *
+ *   OIDC_PROVIDERS=google,mock
+ *   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+ *   OIDC_GOOGLE_CLIENT_ID=...
+ *   OIDC_GOOGLE_CLIENT_SECRET=...          (optional for public clients)
+ *   OIDC_GOOGLE_SCOPES=openid email profile (optional)
+ *   OIDC_GOOGLE_REDIRECT_URI=...           (optional)
+ *   OIDC_GOOGLE_DISPLAY_NAME=Google        (optional)
+ */
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000; // 1 hour
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const getProviderNames = () => {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+const getProvider = (name) => {
+  if (!getProviderNames().includes(name)) return null;
+
+  const prefix = `OIDC_${name.toUpperCase()}_`;
+  const issuer = process.env[`${prefix}ISSUER`];
+  const clientId = process.env[`${prefix}CLIENT_ID`];
+
+  if (!issuer || !clientId) return null;
+
+  return {
+    name,
+    displayName: process.env[`${prefix}DISPLAY_NAME`] || name,
+    issuer: issuer.replace(/\/$/, ''),
+    clientId,
+    clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+    scopes: process.env[`${prefix}SCOPES`] || 'openid email profile',
+    redirectUri: process.env[`${prefix}REDIRECT_URI`] ||
+      `${process.env.FRONTEND_URL}/oidc/callback/${name}`
+  };
+};
+
+const getConfiguredProviders = () => {
+  return getProviderNames().map(getProvider).filter(Boolean);
+};
+
+// Fetch (and cache) the issuer's discovery document
+const getDiscoveryDocument = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.document;
+
+  const { data } = await axios.get(`${provider.issuer}/.well-known/openid-configuration`, {
+    timeout: 10000
+  });
+
+  if (data.issuer.replace(/\/$/, '') !== provider.issuer) {
+    throw new Error(`OIDC discovery issuer mismatch for ${provider.name}`);
+  }
+
+  discoveryCache.set(provider.issuer, { document: data, expiresAt: Date.now() + DISCOVERY_CACHE_MS });
+  return data;
+};
+
+// Fetch the issuer's signing keys; refresh when a key id is not found (key rotation)
+const getSigningKeys = async (jwksUri, { refresh = false } = {}) => {
+  const cached = jwksCache.get(jwksUri);
+  if (!refresh && cached && cached.expiresAt > Date.now()) return cached.keys;
+
+  const { data } = await axios.get(jwksUri, { timeout: 10000 });
+
+  jwksCache.set(jwksUri, { keys: data.keys || [], expiresAt: Date.now() + DISCOVERY_CACHE_MS });
+  return data.keys || [];
+};
+
+module.exports = {
+  getProvider,
+  getConfiguredProviders,
+  getDiscoveryDocument,
+  getSigningKeys
+};
\ No newline at end of file
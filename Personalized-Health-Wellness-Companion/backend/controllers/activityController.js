@@ -0,0 +1,159 @@
+const Activity = require('../models/Activity');
+const { getLocalDateRange } = require('../utils/timezone');
+const { parseActivityFile } = require('../services/importers/activityFileParser');
+const { buildActivity, recordActivity, removeActivity } = require('../services/activityService');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Import a GPX or TCX activity file
+ * @route   POST /api/activities/import
+ * @access  Private
+ */
+const importActivityFile = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a GPX or TCX file'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parseActivityFile(req.file.originalname, req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read activity file: ${error.message}`
+      });
+    }
+
+    const { sport, name, notes } = req.body;
+    const activity = await buildActivity(req.user, parsed, { sport, name, notes });
+
+    if (!activity) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file has no timed track points to import'
+      });
+    }
+
+    const existing = await Activity.findOne({
+      userId: req.user.id,
+      startTime: activity.startTime,
+      sport: activity.sport
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'This activity has already been imported',
+        activityId: existing._id
+      });
+    }
+
+    await recordActivity(req.user, activity);
+
+    res.status(201).json({
+      success: true,
+      message: 'Activity imported successfully',
+      data: activity
+    });
+  } catch (error) {
+    logger.error('Import activity error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get recent activities (without routes)
+ * @route   GET /api/activities
+ * @access  Private
+ */
+const getActivities = async (req, res, next) => {
+  try {
+    const { days = 30, limit = 50, sport } = req.query;
+
+    const { start, end } = getLocalDateRange(parseInt(days), req.user.timezone);
+
+    const query = {
+      userId: req.user.id,
+      startTime: { $gte: start, $lt: end }
+    };
+    if (sport) query.sport = sport;
+
+    const activities = await Activity.find(query)
+      .select('-route -splits')
+      .sort({ startTime: -1 })
+      .limit(parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      count: activities.length,
+      data: activities
+    });
+  } catch (error) {
+    logger.error('Get activities error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single activity with splits and route
+ * @route   GET /api/activities/:id
+ * @access  Private
+ */
+const getActivity = async (req, res, next) => {
+  try {
+    const activity = await Activity.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activity not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: activity
+    });
+  } catch (error) {
+    logger.error('Get activity error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an activity
+ * @route   DELETE /api/activities/:id
+ * @access  Private
+ */
+const deleteActivity = async (req, res, next) => {
+  try {
+    const activity = await Activity.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activity not found'
+      });
+    }
+
+    await removeActivity(req.user, activity);
+
+    res.status(200).json({
+      success: true,
+      message: 'Activity deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete activity error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  importActivityFile,
+  getActivities,
+  getActivity,
+  deleteActivity
+};
\ No newline at end of file
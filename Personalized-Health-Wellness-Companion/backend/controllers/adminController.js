@@ -0,0 +1,310 @@
+const User = require('../models/User');
+const { unlockAccount } = require('../services/securityService');
+const { revokeAllSessions } = require('../services/tokenService');
+const { recordAdminAction, getAuditTrail } = require('../services/auditService');
+const sendEmail = require('../utils/sendEmail');
+const logger = require('../utils/logger');
+
+const ADMIN_USER_FIELDS = 'name email role accountStatus isEmailVerified lockUntil passwordResetRequired lastLoginDate totalPoints createdAt';
+
+/**
+ * Load the target user, refusing admin actions on the caller's own account
+ */
+const findTargetUser = async (req, res) => {
+  if (req.params.id === req.user.id) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot perform this action on your own account'
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * @desc    Search and list users
+ * @route   GET /api/admin/users
+ * @access  Private (Admin only)
+ */
+const getUsers = async (req, res, next) => {
+  try {
+    const { search, role, status, limit = 20, skip = 0 } = req.query;
+
+    const query = {};
+    if (role) query.role = role;
+    if (status) query.accountStatus = status;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const users = await User.find(query)
+      .select(ADMIN_USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await User.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      hasMore: total > parseInt(skip) + parseInt(limit),
+      data: users
+    });
+  } catch (error) {
+    logger.error('Admin get users error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a user's account details
+ * @route   GET /api/admin/users/:id
+ * @access  Private (Admin only)
+ */
+const getUserById = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select(`${ADMIN_USER_FIELDS} failedLoginAttempts lockoutCount lastFailedLoginAt twoFactor.enabled`);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    logger.error('Admin get user error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change a user's role
+ * @route   PUT /api/admin/users/:id/role
+ * @access  Private (Admin only)
+ */
+const updateUserRole = async (req, res, next) => {
+  try {
+    const { role, reason } = req.body;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAdminAction(req, {
+      action: 'user_role_changed',
+      targetUserId: user._id,
+      changes: { role: { from: previousRole, to: role } },
+      reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `User role changed to ${role}`,
+      data: { id: user._id, role: user.role }
+    });
+  } catch (error) {
+    logger.error('Admin update role error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Suspend, deactivate or reactivate a user
+ * @route   PUT /api/admin/users/:id/status
+ * @access  Private (Admin only)
+ */
+const updateUserStatus = async (req, res, next) => {
+  try {
+    const { status, reason } = req.body;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const previousStatus = user.accountStatus;
+    user.accountStatus = status;
+    await user.save({ validateBeforeSave: false });
+
+    // Suspended or deactivated users lose every session immediately
+    if (status !== 'active') {
+      await revokeAllSessions(user._id);
+    }
+
+    const actions = {
+      active: 'user_reactivated',
+      suspended: 'user_suspended',
+      inactive: 'user_deactivated'
+    };
+
+    await recordAdminAction(req, {
+      action: actions[status],
+      targetUserId: user._id,
+      changes: { accountStatus: { from: previousStatus, to: status } },
+      reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `User account status changed to ${status}`,
+      data: { id: user._id, accountStatus: user.accountStatus }
+    });
+  } catch (error) {
+    logger.error('Admin update status error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Force a password reset on next login
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @access  Private (Admin only)
+ */
+const forcePasswordReset = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    // Reset link stays valid for 24 hours
+    const resetToken = user.getResetPasswordToken(24 * 60);
+    user.passwordResetRequired = true;
+    await user.save({ validateBeforeSave: false });
+
+    await revokeAllSessions(user._id);
+
+    const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+
+    await sendEmail({
+      email: user.email,
+      subject: 'Password Reset Required',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Password Reset Required</h1>
+          </div>
+          <div style="padding: 30px; background: #f8f9fa;">
+            <h2 style="color: #333;">Hi ${user.name},</h2>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              For your security, an administrator has signed you out of all devices and requires you to choose a new password.
+            </p>
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${resetUrl}" 
+                 style="background: #667eea; color: white; padding: 12px 30px; 
+                        text-decoration: none; border-radius: 5px; display: inline-block;">
+                Reset Password
+              </a>
+            </div>
+            <p style="color: #999; font-size: 14px;">
+              This link will expire in 24 hours. You can request a new one from the login page.
+            </p>
+          </div>
+        </div>
+      `
+    });
+
+    await recordAdminAction(req, {
+      action: 'user_password_reset_forced',
+      targetUserId: user._id,
+      reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset forced and all sessions revoked'
+    });
+  } catch (error) {
+    logger.error('Admin force password reset error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unlock a temporarily locked account
+ * @route   PUT /api/admin/users/:id/unlock
+ * @access  Private (Admin only)
+ */
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await unlockAccount(user);
+
+    await recordAdminAction(req, {
+      action: 'user_unlocked',
+      targetUserId: user._id,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    logger.error('Unlock user error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get admin audit trail
+ * @route   GET /api/admin/audit-logs
+ * @access  Private (Admin only)
+ */
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const { actorId, targetUserId, action, limit = 50, skip = 0 } = req.query;
+
+    const result = await getAuditTrail(
+      { actorId, targetUserId, action },
+      { limit: parseInt(limit), skip: parseInt(skip) }
+    );
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Get audit logs error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  updateUserRole,
+  updateUserStatus,
+  forcePasswordReset,
+  unlockUser,
+  getAuditLogs
+};
\ No newline at end of file
@@ -0,0 +1,110 @@
+const ApiKey = require('../models/ApiKey');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Create a personal API key (the key is only returned once)
+ * @route   POST /api/auth/api-keys
+ * @access  Private
+ */
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : undefined;
+
+    const { apiKey, key } = await ApiKey.generate({
+      userId: req.user.id,
+      name,
+      scopes,
+      expiresAt
+    });
+
+    logger.info(`🔑 API key ${apiKey.keyPrefix} created for user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again.',
+      key,
+      apiKey: {
+        id: apiKey._id,
+        name: apiKey.name,
+        keyPrefix: apiKey.keyPrefix,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expiresAt,
+        createdAt: apiKey.createdAt
+      }
+    });
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the user's API keys
+ * @route   GET /api/auth/api-keys
+ * @access  Private
+ */
+const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      apiKeys: apiKeys.map(apiKey => ({
+        id: apiKey._id,
+        name: apiKey.name,
+        keyPrefix: apiKey.keyPrefix,
+        scopes: apiKey.scopes,
+        lastUsedAt: apiKey.lastUsedAt,
+        expiresAt: apiKey.expiresAt,
+        revokedAt: apiKey.revokedAt,
+        isActive: apiKey.isActive,
+        createdAt: apiKey.createdAt
+      }))
+    });
+  } catch (error) {
+    logger.error('Get API keys error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke an API key
+ * @route   DELETE /api/auth/api-keys/:id
+ * @access  Private
+ */
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!apiKey || apiKey.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    logger.info(`🔑 API key ${apiKey.keyPrefix} revoked for user ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+};
\ No newline at end of file
@@ -1,9 +1,138 @@
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { calculateDailyCalories, calculateBMI } = require('../utils/helpers');
 const sendEmail = require('../utils/sendEmail');
+const {
+  getClientMeta,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeAllSessions,
+  revokeSession
+} = require('../services/tokenService');
+const {
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../services/securityService');
+const { cancelAccountDeletion } = require('../services/accountDeletionService');
+const {
+  createAuthorizationUrl,
+  completeAuthorization,
+  findOrCreateUser
+} = require('../services/oidcService');
+const { getConfiguredProviders } = require('../config/oidc');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  hashRecoveryCode,
+  generateRecoveryCodes
+} = require('../utils/totp');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 
+const MAGIC_LINK_EXPIRE_MINUTES = parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+
+// Starting fitness level based on activity level
+const FITNESS_LEVEL_BY_ACTIVITY = {
+  sedentary: 'beginner',
+  light: 'beginner',
+  moderate: 'intermediate',
+  active: 'intermediate',
+  veryActive: 'advanced'
+};
+
+/**
+ * Send email verification link
+ */
+const sendVerificationEmail = (user, verificationToken) => {
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`;
+
+  return sendEmail({
+    email: user.email,
+    subject: 'Verify your email address',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Verify Your Email</h1>
+        </div>
+        <div style="padding: 30px; background: #f8f9fa;">
+          <h2 style="color: #333;">Hi ${user.name},</h2>
+          <p style="color: #666; font-size: 16px; line-height: 1.6;">
+            Please confirm your email address to unlock community posting and expert bookings:
+          </p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${verifyUrl}" 
+               style="background: #667eea; color: white; padding: 12px 30px; 
+                      text-decoration: none; border-radius: 5px; display: inline-block;">
+              Verify Email
+            </a>
+          </div>
+          <p style="color: #999; font-size: 14px;">
+            This link will expire in 24 hours. If you didn't create an account, please ignore this email.
+          </p>
+          <p style="color: #999; font-size: 12px; margin-top: 30px;">
+            Or copy this link: ${verifyUrl}
+          </p>
+        </div>
+      </div>
+    `
+  });
+};
+
+/**
+ * Complete a login: stamp last login, issue tokens and send the user payload
+ */
+const sendLoginResponse = async (user, req, res) => {
+  // Alert on new devices and reset failure counters
+  await recordSuccessfulLogin(user, getClientMeta(req));
+
+  // Logging in during the grace period cancels a scheduled deletion
+  const deletionCancelled = cancelAccountDeletion(user);
+
+  // Update last login
+  user.lastLoginDate = new Date();
+  await user.save();
+
+  // Generate tokens
+  const { token, refreshToken } = await issueAuthTokens(user, getClientMeta(req));
+
+  res.status(200).json({
+    success: true,
+    message: deletionCancelled
+      ? 'Login successful. Your scheduled account deletion has been cancelled.'
+      : 'Login successful',
+    deletionCancelled,
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      profilePicture: user.profilePicture?.url,
+      bmi: user.bmi,
+      currentStreak: user.currentWorkoutStreak,
+      totalPoints: user.totalPoints,
+      isEmailVerified: user.isEmailVerified,
+      profileCompleted: user.profileCompleted
+    }
+  });
+};
+
+/**
+ * Respond to a login attempt against a temporarily locked account
+ */
+const sendLockedResponse = (user, res) => {
+  const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+
+  return res.status(423).json({
+    success: false,
+    message: `Account temporarily locked due to too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    lockedUntil: user.lockUntil
+  });
+};
+
 /**
  * @desc    Register new user
  * @route   POST /api/auth/register
@@ -44,14 +173,7 @@ const register = async (req, res, next) => {
     );
 
     // Determine fitness level based on activity level
-    const fitnessLevelMap = {
-      sedentary: 'beginner',
-      light: 'beginner',
-      moderate: 'intermediate',
-      active: 'intermediate',
-      veryActive: 'advanced'
-    };
-    const fitnessLevel = fitnessLevelMap[activityLevel] || 'beginner';
+    const fitnessLevel = FITNESS_LEVEL_BY_ACTIVITY[activityLevel] || 'beginner';
 
     // Create user
     const user = await User.create({
@@ -108,13 +230,19 @@ const register = async (req, res, next) => {
       // Don't fail registration if email fails
     }
 
-    // Generate token
-    const token = user.getSignedJwtToken();
+    // Send email verification link
+    const verificationToken = user.getEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, verificationToken);
+
+    // Generate tokens
+    const { token, refreshToken } = await issueAuthTokens(user, getClientMeta(req));
 
     res.status(201).json({
       success: true,
       message: 'Registration successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -122,7 +250,8 @@ const register = async (req, res, next) => {
         role: user.role,
         profilePicture: user.profilePicture?.url,
         bmi: user.bmi,
-        dailyCalorieTarget: user.dailyCalorieTarget
+        dailyCalorieTarget: user.dailyCalorieTarget,
+        isEmailVerified: user.isEmailVerified
       }
     });
   } catch (error) {
@@ -158,10 +287,20 @@ const login = async (req, res, next) => {
       });
     }
 
+    // Refuse attempts while the account is locked
+    if (user.isLocked) {
+      return sendLockedResponse(user, res);
+    }
+
     // Check if password matches
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
+      const lockedUntil = await recordFailedLogin(user, getClientMeta(req));
+      if (lockedUntil) {
+        return sendLockedResponse(user, res);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -176,28 +315,26 @@ const login = async (req, res, next) => {
       });
     }
 
-    // Update last login
-    user.lastLoginDate = new Date();
-    await user.save();
+    // An admin has forced a password reset
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'A password reset is required. Please use the link sent to your email or request a new one.',
+        passwordResetRequired: true
+      });
+    }
 
-    // Generate token
-    const token = user.getSignedJwtToken();
+    // Second factor required - hand back a short-lived challenge instead of tokens
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken()
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        profilePicture: user.profilePicture?.url,
-        bmi: user.bmi,
-        currentStreak: user.currentWorkoutStreak,
-        totalPoints: user.totalPoints
-      }
-    });
+    await sendLoginResponse(user, req, res);
   } catch (error) {
     logger.error('Login error:', error);
     next(error);
@@ -219,6 +356,8 @@ const getMe = async (req, res, next) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactor?.enabled || false,
         role: user.role,
         age: user.age,
         gender: user.gender,
@@ -352,17 +491,20 @@ const resetPassword = async (req, res, next) => {
 
     // Set new password
     user.password = req.body.password;
+    user.passwordResetRequired = false;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
     await user.save();
 
-    // Generate token
-    const token = user.getSignedJwtToken();
+    // Kill every existing session, then sign in this client
+    user.tokenVersion = await revokeAllSessions(user._id);
+    const { token, refreshToken } = await issueAuthTokens(user, getClientMeta(req));
 
     res.status(200).json({
       success: true,
       message: 'Password reset successful',
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     logger.error('Reset password error:', error);
@@ -370,6 +512,320 @@ const resetPassword = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Email a single-use passwordless sign-in link
+ * @route   POST /api/auth/magic-link
+ * @access  Public
+ */
+const requestMagicLink = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    // Same response whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for that email, a sign-in link is on its way'
+    };
+
+    const user = await User.findOne({ email });
+
+    if (!user || user.accountStatus !== 'active') {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Don't resend while a link issued in the last minute is still valid
+    const issuedAt = user.magicLinkExpire
+      ? user.magicLinkExpire.getTime() - MAGIC_LINK_EXPIRE_MINUTES * 60 * 1000
+      : 0;
+    if (Date.now() - issuedAt < 60 * 1000) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const magicToken = user.getMagicLinkToken(MAGIC_LINK_EXPIRE_MINUTES);
+    await user.save({ validateBeforeSave: false });
+
+    const magicUrl = `${process.env.FRONTEND_URL}/magic-link/${magicToken}`;
+
+    const sent = await sendEmail({
+      email: user.email,
+      subject: 'Your sign-in link',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Sign In</h1>
+          </div>
+          <div style="padding: 30px; background: #f8f9fa;">
+            <h2 style="color: #333;">Hi ${user.name},</h2>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              Click the button below to sign in to your account - no password needed:
+            </p>
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${magicUrl}" 
+                 style="background: #667eea; color: white; padding: 12px 30px; 
+                        text-decoration: none; border-radius: 5px; display: inline-block;">
+                Sign In
+              </a>
+            </div>
+            <p style="color: #999; font-size: 14px;">
+              This link will expire in ${MAGIC_LINK_EXPIRE_MINUTES} minutes and can only be used once. If you didn't request this, please ignore this email.
+            </p>
+            <p style="color: #999; font-size: 12px; margin-top: 30px;">
+              Or copy this link: ${magicUrl}
+            </p>
+          </div>
+        </div>
+      `
+    });
+
+    if (!sent) {
+      user.magicLinkToken = undefined;
+      user.magicLinkExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
+        success: false,
+        message: 'Email could not be sent'
+      });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    logger.error('Magic link request error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Sign in with a magic link token
+ * @route   POST /api/auth/magic-link/:token
+ * @access  Public
+ */
+const consumeMagicLink = async (req, res, next) => {
+  try {
+    const magicLinkToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    // Clear the token in the same operation that finds it, so a link can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        magicLinkToken,
+        magicLinkExpire: { $gt: Date.now() }
+      },
+      { $unset: { magicLinkToken: 1, magicLinkExpire: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in link is invalid, expired or has already been used'
+      });
+    }
+
+    if (user.accountStatus !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended. Please contact support.'
+      });
+    }
+
+    if (user.isLocked) {
+      return sendLockedResponse(user, res);
+    }
+
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'A password reset is required. Please use the link sent to your email or request a new one.',
+        passwordResetRequired: true
+      });
+    }
+
+    // Following the link proves ownership of the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpire = undefined;
+    }
+
+    // The link replaces the password, not the second factor
+    if (user.twoFactor?.enabled) {
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken()
+      });
+    }
+
+    await sendLoginResponse(user, req, res);
+  } catch (error) {
+    logger.error('Magic link login error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List configured social login providers
+ * @route   GET /api/auth/oidc/providers
+ * @access  Public
+ */
+const getOidcProviders = async (req, res, next) => {
+  try {
+    const providers = getConfiguredProviders().map(provider => ({
+      name: provider.name,
+      displayName: provider.displayName
+    }));
+
+    res.status(200).json({
+      success: true,
+      providers
+    });
+  } catch (error) {
+    logger.error('Get OIDC providers error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start social login (authorization code + PKCE)
+ * @route   GET /api/auth/oidc/:provider
+ * @access  Public
+ */
+const startOidcLogin = async (req, res, next) => {
+  try {
+    const authorizationUrl = await createAuthorizationUrl(req.params.provider);
+
+    res.status(200).json({
+      success: true,
+      authorizationUrl
+    });
+  } catch (error) {
+    logger.error('Start OIDC login error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Complete social login with the code returned to the redirect URI
+ * @route   POST /api/auth/oidc/:provider/callback
+ * @access  Public
+ */
+const oidcCallback = async (req, res, next) => {
+  try {
+    const { code, state } = req.body;
+
+    const { provider, claims } = await completeAuthorization(req.params.provider, { code, state });
+    const { user } = await findOrCreateUser(provider, claims);
+
+    if (user.accountStatus !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended. Please contact support.'
+      });
+    }
+
+    if (user.isLocked) {
+      return sendLockedResponse(user, res);
+    }
+
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'A password reset is required. Please use the link sent to your email or request a new one.',
+        passwordResetRequired: true
+      });
+    }
+
+    // The provider replaces the password, not the second factor
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken()
+      });
+    }
+
+    await sendLoginResponse(user, req, res);
+  } catch (error) {
+    logger.error('OIDC callback error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Complete the profile of an account created through social login
+ * @route   PUT /api/auth/complete-profile
+ * @access  Private
+ */
+const completeProfile = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.profileCompleted !== false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Profile is already complete'
+      });
+    }
+
+    const {
+      age,
+      gender,
+      height,
+      weight,
+      activityLevel,
+      healthGoals,
+      dietaryPreferences,
+      allergies
+    } = req.body;
+
+    user.age = age;
+    user.gender = gender;
+    user.height = height;
+    user.weight = weight;
+    user.activityLevel = activityLevel || 'moderate';
+    user.fitnessLevel = FITNESS_LEVEL_BY_ACTIVITY[user.activityLevel] || 'beginner';
+    if (healthGoals) user.healthGoals = healthGoals;
+    if (dietaryPreferences) user.dietaryPreferences = dietaryPreferences;
+    if (allergies) user.allergies = allergies;
+
+    // Calorie target needs the physical attributes collected above
+    user.dailyCalorieTarget = calculateDailyCalories(
+      weight,
+      height,
+      age,
+      gender,
+      user.activityLevel
+    );
+    user.profileCompleted = true;
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile completed',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        bmi: user.bmi,
+        fitnessLevel: user.fitnessLevel,
+        dailyCalorieTarget: user.dailyCalorieTarget,
+        profileCompleted: user.profileCompleted
+      }
+    });
+  } catch (error) {
+    logger.error('Complete profile error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Update password
  * @route   PUT /api/auth/update-password
@@ -390,12 +846,15 @@ const updatePassword = async (req, res, next) => {
     user.password = req.body.newPassword;
     await user.save();
 
-    const token = user.getSignedJwtToken();
+    // Kill every existing session, then sign in this client
+    user.tokenVersion = await revokeAllSessions(user._id);
+    const { token, refreshToken } = await issueAuthTokens(user, getClientMeta(req));
 
     res.status(200).json({
       success: true,
       message: 'Password updated successfully',
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     logger.error('Update password error:', error);
@@ -404,12 +863,386 @@ const updatePassword = async (req, res, next) => {
 };
 
 /**
- * @desc    Logout user / clear cookie
+ * @desc    Complete login with a TOTP or recovery code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public
+ */
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== '2fa_challenge') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or expired. Please login again.'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or expired. Please login again.'
+      });
+    }
+
+    if (user.accountStatus !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended. Please contact support.'
+      });
+    }
+
+    if (user.isLocked) {
+      return sendLockedResponse(user, res);
+    }
+
+    let verified = false;
+
+    if (code) {
+      const step = verifyTotp(user.twoFactor.secret, code, {
+        lastUsedStep: user.twoFactor.lastUsedStep ?? -1
+      });
+      if (step !== null) {
+        user.twoFactor.lastUsedStep = step;
+        verified = true;
+      }
+    } else if (recoveryCode) {
+      // Recovery codes are single use
+      const index = user.twoFactor.recoveryCodes.indexOf(hashRecoveryCode(recoveryCode));
+      if (index !== -1) {
+        user.twoFactor.recoveryCodes.splice(index, 1);
+        verified = true;
+      }
+    }
+
+    if (!verified) {
+      const lockedUntil = await recordFailedLogin(user, getClientMeta(req));
+      if (lockedUntil) {
+        return sendLockedResponse(user, res);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await sendLoginResponse(user, req, res);
+  } catch (error) {
+    logger.error('Two-factor login error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start 2FA enrolment (generate secret and provisioning URI)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email)
+    });
+  } catch (error) {
+    logger.error('Setup two-factor error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm 2FA enrolment and issue recovery codes
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first'
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - they will not be shown again.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    logger.error('Enable two-factor error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Disable 2FA (requires current password)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await user.matchPassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabledAt = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error('Disable two-factor error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify email address
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    // Get hashed token
+    const emailVerificationToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken,
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resend email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.getEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    const sent = await sendVerificationEmail(user, verificationToken);
+
+    if (!sent) {
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
+        success: false,
+        message: 'Email could not be sent'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Refresh access token (rotates the refresh token)
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refreshAccessToken = async (req, res, next) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, getClientMeta(req));
+
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token. Please login again.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    logger.error('Refresh token error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List active device sessions
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.getActiveForUser(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        id: session._id,
+        platform: session.deviceInfo?.platform,
+        browser: session.deviceInfo?.browser,
+        ipAddress: session.deviceInfo?.ipAddress,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a single device session
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const deleteSession = async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Delete session error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout user / revoke all sessions
  * @route   POST /api/auth/logout
  * @access  Private
  */
 const logout = async (req, res, next) => {
   try {
+    await revokeAllSessions(req.user._id);
+
     res.status(200).json({
       success: true,
       message: 'Logged out successfully'
@@ -426,6 +1259,21 @@ module.exports = {
   getMe,
   forgotPassword,
   resetPassword,
+  requestMagicLink,
+  consumeMagicLink,
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  completeProfile,
   updatePassword,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  verifyEmail,
+  resendVerification,
+  refreshAccessToken,
+  getSessions,
+  deleteSession,
   logout
 };
\ No newline at end of file
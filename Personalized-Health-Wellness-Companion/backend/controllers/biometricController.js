@@ -1,10 +1,103 @@
 const BiometricData = require('../models/BiometricData');
 const User = require('../models/User');
 const ActivityLog = require('../models/ActivityLog');
-const { getDateRange } = require('../utils/helpers');
+const ImportJob = require('../models/ImportJob');
+const CustomMetric = require('../models/CustomMetric');
+const { getDayBounds, getLocalDateRange } = require('../utils/timezone');
+const { toCanonicalUnit, fromCanonicalUnit, getDisplayUnit } = require('../utils/units');
+const { BP_CATEGORY_KEYS, classifyBloodPressure } = require('../utils/bloodPressure');
+const { isCustomType } = require('../utils/biometricTypes');
+const { classifyHeartRate } = require('../utils/heartRate');
 const { checkAndAwardBadges, awardPoints } = require('../services/gamificationService');
+const { sendBloodPressureAlert } = require('../services/notificationService');
+const { flagIfAnomalous } = require('../services/anomalyService');
+const { getMetricDefinition, aggregateMetric } = require('../services/customMetricService');
+const { syncMetricGoals } = require('../services/goalService');
+const {
+  getHeartRateProfile,
+  getRestingHeartRateTrend,
+  getTimeInZones
+} = require('../services/heartRateService');
+const {
+  MAX_REPORTED_ERRORS,
+  parseCsvImport,
+  validateImportRows,
+  importBiometricRecords,
+  startImportJob
+} = require('../services/biometricImportService');
+const { FHIR_OBSERVATION_TYPES, buildFhirBundle } = require('../services/fhirService');
+const { getCorrelationInsights } = require('../services/insightsService');
+const {
+  SERIES_BUCKETS,
+  SERIES_AGGREGATIONS,
+  getBiometricSeries
+} = require('../services/biometricSeriesService');
 const logger = require('../utils/logger');
 
+/**
+ * Keep the profile weight in line with the newest counted reading
+ */
+const syncProfileWeight = async (userId) => {
+  const latestWeight = await BiometricData.getLatestByType(userId, 'weight');
+  if (latestWeight) {
+    await User.findByIdAndUpdate(userId, { weight: latestWeight.value });
+  }
+};
+
+const isCrisisReading = (entry) => entry.additionalData?.category === 'hypertensive_crisis';
+
+/**
+ * Describe a stored entry for the activity log
+ */
+const describeEntry = (entry) => {
+  if (entry.type === 'blood_pressure') {
+    return `${entry.additionalData.systolic}/${entry.additionalData.diastolic} ${entry.unit}`;
+  }
+  return `${entry.value}${entry.unit}`;
+};
+
+/**
+ * Systolic/diastolic stats and AHA category counts for blood pressure entries
+ */
+const getBloodPressureStats = (entries) => {
+  // Entries saved before classification existed are classified here
+  const readings = entries
+    .map(entry => entry.additionalData || {})
+    .filter(reading => Number.isFinite(reading.systolic) && Number.isFinite(reading.diastolic))
+    .map(({ systolic, diastolic, category }) => ({
+      systolic,
+      diastolic,
+      category: category || classifyBloodPressure(systolic, diastolic)
+    }));
+
+  const summarize = (key) => {
+    const values = readings.map(reading => reading[key]);
+    return {
+      average: values.length > 0 ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null,
+      min: values.length > 0 ? Math.min(...values) : null,
+      max: values.length > 0 ? Math.max(...values) : null
+    };
+  };
+
+  const categories = Object.fromEntries(BP_CATEGORY_KEYS.map(key => [key, 0]));
+  readings.forEach(reading => {
+    categories[reading.category]++;
+  });
+
+  const latest = readings[readings.length - 1];
+
+  return {
+    latest: latest
+      ? { systolic: latest.systolic, diastolic: latest.diastolic, category: latest.category }
+      : null,
+    systolic: summarize('systolic'),
+    diastolic: summarize('diastolic'),
+    categories,
+    unit: 'mmHg',
+    count: readings.length
+  };
+};
+
 /**
  * @desc    Log new biometric data
  * @route   POST /api/biometrics
@@ -14,8 +107,7 @@ const logBiometricData = async (req, res, next) => {
   try {
     const { type, value, unit, date, notes, additionalData } = req.body;
 
-    // Create biometric data
-    const biometricData = await BiometricData.create({
+    const biometricData = new BiometricData({
       userId: req.user.id,
       type,
       value,
@@ -26,9 +118,20 @@ const logBiometricData = async (req, res, next) => {
       source: 'manual'
     });
 
-    // Update user's weight if weight is logged
-    if (type === 'weight') {
-      await User.findByIdAndUpdate(req.user.id, { weight: value });
+    // Validate first so the value is in its canonical unit, then hold it
+    // for confirmation if it looks like an outlier
+    await biometricData.validate();
+    const anomaly = await flagIfAnomalous(biometricData);
+    await biometricData.save();
+
+    // Update user's weight if weight is logged (stored in kg)
+    if (type === 'weight' && !anomaly) {
+      await User.findByIdAndUpdate(req.user.id, { weight: biometricData.value });
+    }
+
+    // Move goals that track this metric
+    if (!anomaly) {
+      await syncMetricGoals(req.user._id, type);
     }
 
     // Award points
@@ -38,7 +141,7 @@ const logBiometricData = async (req, res, next) => {
     await ActivityLog.create({
       userId: req.user.id,
       activityType: 'biometric_logged',
-      description: `Logged ${type}: ${value}${unit}`,
+      description: `Logged ${type}: ${describeEntry(biometricData)}`,
       relatedId: biometricData._id,
       relatedModel: 'BiometricData',
       pointsEarned: 5
@@ -47,10 +150,17 @@ const logBiometricData = async (req, res, next) => {
     // Check for badges
     await checkAndAwardBadges(req.user.id);
 
+    if (isCrisisReading(biometricData)) {
+      await sendBloodPressureAlert(req.user.id, biometricData);
+    }
+
     res.status(201).json({
       success: true,
-      message: 'Biometric data logged successfully',
-      data: biometricData
+      message: anomaly
+        ? 'This reading looks unusual, so it won\'t count towards your stats until you confirm it'
+        : 'Biometric data logged successfully',
+      requiresConfirmation: Boolean(anomaly),
+      data: biometricData.toUnitSystem(req.user.unitSystem)
     });
   } catch (error) {
     logger.error('Log biometric error:', error);
@@ -68,7 +178,15 @@ const getBiometricByType = async (req, res, next) => {
     const { type } = req.params;
     const { days = 30, limit = 100 } = req.query;
 
-    const { start, end } = getDateRange(parseInt(days));
+    const definition = await getMetricDefinition(req.user.id, type);
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown biometric type '${type}'`
+      });
+    }
+
+    const { start, end } = getLocalDateRange(parseInt(days), req.user.timezone);
 
     const data = await BiometricData.find({
       userId: req.user.id,
@@ -78,21 +196,40 @@ const getBiometricByType = async (req, res, next) => {
       .sort({ date: 1 })
       .limit(parseInt(limit));
 
-    // Calculate statistics
-    const values = data.map(d => d.value);
-    const stats = {
-      latest: data.length > 0 ? data[data.length - 1].value : null,
-      average: values.length > 0 ? (values.reduce((a, b) => a + b, 0) / values.length).toFixed(2) : null,
-      min: values.length > 0 ? Math.min(...values) : null,
-      max: values.length > 0 ? Math.max(...values) : null,
-      count: data.length
+    // Calculate statistics in the canonical unit, skipping held or outlier
+    // readings and legacy entries whose unit can't be converted
+    const counted = data.filter(d => !d.isExcluded());
+    const values = counted
+      .map(d => toCanonicalUnit(d.type, d.value, d.unit))
+      .filter(Boolean)
+      .map(d => d.value);
+
+    const display = (value) => fromCanonicalUnit(type, value, req.user.unitSystem).value;
+    const stats = type === 'blood_pressure' ? getBloodPressureStats(counted) : {
+      latest: values.length > 0 ? display(values[values.length - 1]) : null,
+      average: values.length > 0 ? display(values.reduce((a, b) => a + b, 0) / values.length).toFixed(2) : null,
+      min: values.length > 0 ? display(Math.min(...values)) : null,
+      max: values.length > 0 ? display(Math.max(...values)) : null,
+      unit: getDisplayUnit(type, req.user.unitSystem) || definition.unit,
+      count: values.length
     };
 
+    let entries = data.map(d => d.toUnitSystem(req.user.unitSystem));
+
+    // Zones depend on the user's current max/resting HR, so readings are
+    // classified on the way out rather than stored with a zone
+    if (type === 'heart_rate') {
+      const { zones } = await getHeartRateProfile(req.user);
+      stats.zones = zones;
+      entries = entries.map(entry => ({ ...entry, zone: classifyHeartRate(entry.value, zones) }));
+    }
+
     res.status(200).json({
       success: true,
+      ...(!definition.builtIn && { metric: definition }),
       count: data.length,
       stats,
-      data
+      data: entries
     });
   } catch (error) {
     logger.error('Get biometric by type error:', error);
@@ -100,6 +237,194 @@ const getBiometricByType = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get bucketed time series for a biometric type (for charts)
+ * @route   GET /api/biometrics/:type/series
+ * @access  Private
+ */
+const getBiometricSeriesByType = async (req, res, next) => {
+  try {
+    const { type } = req.params;
+    const { bucket = 'day', fill, from, to, movingAverage } = req.query;
+
+    const definition = await getMetricDefinition(req.user.id, type);
+
+    // Custom metrics default to their own aggregation rule
+    const agg = req.query.agg || (definition && !definition.builtIn ? definition.aggregation : 'avg');
+
+    const errors = [];
+    if (!definition) {
+      errors.push(`Unknown biometric type '${type}'`);
+    }
+    if (!SERIES_BUCKETS.includes(bucket)) {
+      errors.push(`bucket must be one of ${SERIES_BUCKETS.join(', ')}`);
+    }
+    if (!SERIES_AGGREGATIONS.includes(agg)) {
+      errors.push(`agg must be one of ${SERIES_AGGREGATIONS.join(', ')}`);
+    }
+    if (fill && !['none', 'zero', 'previous'].includes(fill)) {
+      errors.push('fill must be one of none, zero, previous');
+    }
+
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : new Date();
+    if ((fromDate && isNaN(fromDate)) || isNaN(toDate)) {
+      errors.push('from and to must be valid dates');
+    } else if (fromDate && fromDate > toDate) {
+      errors.push('from must be before to');
+    }
+
+    const window = movingAverage === undefined ? undefined : parseInt(movingAverage);
+    if (window !== undefined && !(window >= 2 && window <= 90)) {
+      errors.push('movingAverage must be a number of buckets between 2 and 90');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.join(', ')
+      });
+    }
+
+    const series = await getBiometricSeries(req.user._id, type, {
+      bucket,
+      agg,
+      from: fromDate,
+      to: toDate,
+      timeZone: req.user.timezone,
+      fill,
+      movingAverage: window
+    });
+
+    // Convert to the user's unit system (counts stay as they are)
+    const display = (value) => (value === null ? null : fromCanonicalUnit(type, value, req.user.unitSystem).value);
+    const points = series.points.map(point => ({
+      ...point,
+      value: display(point.value),
+      ...('movingAverage' in point && { movingAverage: display(point.movingAverage) })
+    }));
+
+    res.status(200).json({
+      success: true,
+      type,
+      unit: getDisplayUnit(type, req.user.unitSystem) || definition.unit,
+      ...series,
+      count: points.length,
+      points
+    });
+  } catch (error) {
+    logger.error('Get biometric series error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get lagged correlations between daily metrics
+ * @route   GET /api/biometrics/insights/correlations
+ * @access  Private
+ */
+const getCorrelations = async (req, res, next) => {
+  try {
+    const days = req.query.days === undefined ? 90 : parseInt(req.query.days);
+
+    if (!(days >= 14 && days <= 365)) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be between 14 and 365'
+      });
+    }
+
+    const insights = await getCorrelationInsights(req.user._id, {
+      days,
+      timeZone: req.user.timezone
+    });
+
+    res.status(200).json({
+      success: true,
+      ...insights
+    });
+  } catch (error) {
+    logger.error('Get correlations error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get max heart rate, resting heart rate and training zones
+ * @route   GET /api/biometrics/heart-rate/zones
+ * @access  Private
+ */
+const getHeartRateZones = async (req, res, next) => {
+  try {
+    const profile = await getHeartRateProfile(req.user);
+
+    res.status(200).json({
+      success: true,
+      ...profile
+    });
+  } catch (error) {
+    logger.error('Get heart rate zones error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get resting heart rate trend
+ * @route   GET /api/biometrics/heart-rate/resting-trend
+ * @access  Private
+ */
+const getRestingHeartRate = async (req, res, next) => {
+  try {
+    const days = req.query.days === undefined ? 60 : parseInt(req.query.days);
+
+    if (!(days >= 14 && days <= 365)) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be between 14 and 365'
+      });
+    }
+
+    const trend = await getRestingHeartRateTrend(req.user, { days });
+
+    res.status(200).json({
+      success: true,
+      ...trend
+    });
+  } catch (error) {
+    logger.error('Get resting heart rate trend error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get time spent in each heart rate zone per workout day
+ * @route   GET /api/biometrics/heart-rate/time-in-zones
+ * @access  Private
+ */
+const getHeartRateTimeInZones = async (req, res, next) => {
+  try {
+    const days = req.query.days === undefined ? 7 : parseInt(req.query.days);
+
+    if (!(days >= 1 && days <= 31)) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be between 1 and 31'
+      });
+    }
+
+    const summary = await getTimeInZones(req.user, { days });
+
+    res.status(200).json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    logger.error('Get time in zones error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get biometric summary
  * @route   GET /api/biometrics/summary
@@ -127,27 +452,25 @@ const getBiometricSummary = async (req, res, next) => {
     for (const type of types) {
       const latest = await BiometricData.getLatestByType(userId, type);
       if (latest) {
+        const { value, unit } = latest.toUnitSystem(req.user.unitSystem);
         summary[type] = {
-          value: latest.value,
-          unit: latest.unit,
+          value,
+          unit,
           date: latest.date,
           additionalData: latest.additionalData
         };
       }
     }
 
-    // Get today's totals
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // Get today's totals (today in the user's time zone)
+    const { start: today, end: tomorrow } = getDayBounds(new Date(), req.user.timezone);
 
     const todayStats = await BiometricData.aggregate([
       {
-        $match: {
+        $match: BiometricData.countedOnly({
           userId: req.user._id,
           date: { $gte: today, $lt: tomorrow }
-        }
+        })
       },
       {
         $group: {
@@ -159,13 +482,32 @@ const getBiometricSummary = async (req, res, next) => {
     ]);
 
     const todayData = {};
-    todayStats.forEach(stat => {
+    todayStats.filter(stat => !isCustomType(stat._id)).forEach(stat => {
+      const { value, unit } = fromCanonicalUnit(stat._id, stat.total, req.user.unitSystem);
       todayData[stat._id] = {
-        total: stat.total,
+        total: value,
+        unit,
         count: stat.count
       };
     });
 
+    // Custom metrics roll up today's readings with their own aggregation rule
+    const customMetrics = await CustomMetric.getActiveForUser(userId);
+
+    for (const metric of customMetrics) {
+      const latest = await BiometricData.getLatestByType(userId, metric.key);
+      const todayValue = await aggregateMetric(req.user._id, metric, { since: today });
+
+      summary[metric.key] = {
+        name: metric.name,
+        value: latest ? latest.value : null,
+        unit: metric.unit,
+        date: latest ? latest.date : null,
+        today: todayValue === null ? null : Math.round(todayValue * 100) / 100,
+        aggregation: metric.aggregation
+      };
+    }
+
     res.status(200).json({
       success: true,
       summary,
@@ -184,7 +526,7 @@ const getBiometricSummary = async (req, res, next) => {
  */
 const updateBiometricData = async (req, res, next) => {
   try {
-    let biometricData = await BiometricData.findById(req.params.id);
+    const biometricData = await BiometricData.findById(req.params.id);
 
     if (!biometricData) {
       return res.status(404).json({
@@ -201,19 +543,52 @@ const updateBiometricData = async (req, res, next) => {
       });
     }
 
-    biometricData = await BiometricData.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    const { value, unit, date, notes, additionalData } = req.body;
+
+    // A value without a unit is taken to be in the user's unit system
+    if (value !== undefined) {
+      biometricData.value = value;
+      biometricData.unit = unit || getDisplayUnit(biometricData.type, req.user.unitSystem) || biometricData.unit;
+    } else if (unit) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the value together with its unit'
+      });
+    }
+    if (date) biometricData.date = date;
+    if (notes !== undefined) biometricData.notes = notes;
+    if (additionalData) {
+      ['systolic', 'diastolic', 'context'].forEach(key => {
+        if (additionalData[key] !== undefined) biometricData.set(`additionalData.${key}`, additionalData[key]);
+      });
+    }
+
+    const wasCrisis = isCrisisReading(biometricData);
+    await biometricData.validate();
+
+    // A corrected reading is checked again (and released if it now looks normal)
+    if (value !== undefined || additionalData) {
+      await flagIfAnomalous(biometricData);
+    }
+
+    await biometricData.save();
+
+    if (!wasCrisis && isCrisisReading(biometricData)) {
+      await sendBloodPressureAlert(req.user.id, biometricData);
+    }
+
+    if (biometricData.type === 'weight' && value !== undefined) {
+      await syncProfileWeight(req.user.id);
+    }
+
+    if (value !== undefined || date) {
+      await syncMetricGoals(req.user._id, biometricData.type);
+    }
 
     res.status(200).json({
       success: true,
       message: 'Biometric data updated successfully',
-      data: biometricData
+      data: biometricData.toUnitSystem(req.user.unitSystem)
     });
   } catch (error) {
     logger.error('Update biometric error:', error);
@@ -221,6 +596,86 @@ const updateBiometricData = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    List readings held for confirmation
+ * @route   GET /api/biometrics/anomalies
+ * @access  Private
+ */
+const getPendingAnomalies = async (req, res, next) => {
+  try {
+    const entries = await BiometricData.find({
+      userId: req.user.id,
+      'anomaly.status': 'pending'
+    })
+      .sort({ date: -1 })
+      .limit(100);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries.map(entry => entry.toUnitSystem(req.user.unitSystem))
+    });
+  } catch (error) {
+    logger.error('Get pending anomalies error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept a flagged reading or confirm it as an outlier
+ * @route   PUT /api/biometrics/:id/review
+ * @access  Private
+ */
+const reviewAnomaly = async (req, res, next) => {
+  try {
+    const biometricData = await BiometricData.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!biometricData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Biometric data not found'
+      });
+    }
+
+    if (!biometricData.anomaly?.status) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reading was not flagged as unusual'
+      });
+    }
+
+    const { decision } = req.body;
+
+    biometricData.anomaly.status = decision === 'accept' ? 'accepted' : 'outlier';
+    biometricData.anomaly.reviewedAt = new Date();
+    await biometricData.save();
+
+    if (biometricData.type === 'weight') {
+      await syncProfileWeight(req.user.id);
+    }
+
+    if (decision === 'accept') {
+      await syncMetricGoals(req.user._id, biometricData.type);
+    }
+
+    await checkAndAwardBadges(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: decision === 'accept'
+        ? 'Reading confirmed and included in your stats'
+        : 'Reading marked as an outlier and excluded from your stats',
+      data: biometricData.toUnitSystem(req.user.unitSystem)
+    });
+  } catch (error) {
+    logger.error('Review anomaly error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Delete biometric data
  * @route   DELETE /api/biometrics/:id
@@ -246,6 +701,7 @@ const deleteBiometricData = async (req, res, next) => {
     }
 
     await biometricData.deleteOne();
+    await syncMetricGoals(req.user._id, biometricData.type);
 
     res.status(200).json({
       success: true,
@@ -265,51 +721,54 @@ const deleteBiometricData = async (req, res, next) => {
 const getProgressDashboard = async (req, res, next) => {
   try {
     const { days = 30 } = req.query;
-    const { start, end } = getDateRange(parseInt(days));
+    const { start, end } = getLocalDateRange(parseInt(days), req.user.timezone);
 
     // Get weight progress
-    const weightData = await BiometricData.find({
+    const weightData = await BiometricData.find(BiometricData.countedOnly({
       userId: req.user.id,
       type: 'weight',
       date: { $gte: start, $lte: end }
-    }).sort({ date: 1 });
+    })).sort({ date: 1 });
 
     // Get steps data
-    const stepsData = await BiometricData.find({
+    const stepsData = await BiometricData.find(BiometricData.countedOnly({
       userId: req.user.id,
       type: 'steps',
       date: { $gte: start, $lte: end }
-    }).sort({ date: 1 });
+    })).sort({ date: 1 });
 
     // Get sleep data
-    const sleepData = await BiometricData.find({
+    const sleepData = await BiometricData.find(BiometricData.countedOnly({
       userId: req.user.id,
       type: 'sleep_duration',
       date: { $gte: start, $lte: end }
-    }).sort({ date: 1 });
+    })).sort({ date: 1 });
 
     // Get calorie data
-    const caloriesConsumed = await BiometricData.find({
+    const caloriesConsumed = await BiometricData.find(BiometricData.countedOnly({
       userId: req.user.id,
       type: 'calories_consumed',
       date: { $gte: start, $lte: end }
-    }).sort({ date: 1 });
+    })).sort({ date: 1 });
 
-    const caloriesBurned = await BiometricData.find({
+    const caloriesBurned = await BiometricData.find(BiometricData.countedOnly({
       userId: req.user.id,
       type: 'calories_burned',
       date: { $gte: start, $lte: end }
-    }).sort({ date: 1 });
+    })).sort({ date: 1 });
+
+    const inUnitSystem = (entries) => entries.map(entry => entry.toUnitSystem(req.user.unitSystem));
 
     res.status(200).json({
       success: true,
+      unitSystem: req.user.unitSystem,
       data: {
-        weight: weightData,
-        steps: stepsData,
-        sleep: sleepData,
+        weight: inUnitSystem(weightData),
+        steps: inUnitSystem(stepsData),
+        sleep: inUnitSystem(sleepData),
         calories: {
-          consumed: caloriesConsumed,
-          burned: caloriesBurned
+          consumed: inUnitSystem(caloriesConsumed),
+          burned: inUnitSystem(caloriesBurned)
         }
       }
     });
@@ -319,11 +778,273 @@ const getProgressDashboard = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Bulk import biometric data from a CSV file
+ * @route   POST /api/biometrics/import/csv
+ * @access  Private
+ */
+const importBiometricCSV = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV file'
+      });
+    }
+
+    // Optional column mapping, e.g. {"value":"Reading","date":"Measured At"}
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (err) {
+        return res.status(400).json({
+          success: false,
+          message: 'Column mapping must be valid JSON'
+        });
+      }
+    }
+
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+
+    const parsed = parseCsvImport(req.file.buffer.toString('utf8'), mapping);
+    const { totalRows } = parsed;
+    const { records, errors } = await validateImportRows(req.user._id, parsed, { source: 'csv_import' });
+
+    const result = dryRun
+      ? { imported: 0, byType: {} }
+      : await importBiometricRecords(req.user._id, records, { source: 'csv_import' });
+
+    res.status(result.imported > 0 ? 201 : 200).json({
+      success: true,
+      message: dryRun
+        ? `${records.length} of ${totalRows} rows are valid`
+        : `Imported ${result.imported} of ${totalRows} rows`,
+      dryRun,
+      totalRows,
+      imported: result.imported,
+      valid: records.length,
+      failed: errors.length,
+      byType: result.byType,
+      errors: errors.slice(0, MAX_REPORTED_ERRORS),
+      errorsTruncated: errors.length > MAX_REPORTED_ERRORS
+    });
+  } catch (error) {
+    logger.error('Import biometric CSV error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Start a background import job and respond with it
+ */
+const sendImportStarted = async (req, res, { source, files, options }) => {
+  const job = await startImportJob(req.user.id, {
+    source,
+    files,
+    timeZone: req.user.timezone,
+    options
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Import started. Check the job for progress.',
+    job
+  });
+};
+
+/**
+ * @desc    Import an Apple Health export.xml (processed in the background)
+ * @route   POST /api/biometrics/import/apple-health
+ * @access  Private
+ */
+const importAppleHealth = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload your Apple Health export.xml file'
+      });
+    }
+
+    await sendImportStarted(req, res, { source: 'apple_health', files: [req.file] });
+  } catch (error) {
+    logger.error('Apple Health import error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Import Google Takeout Fit JSON files (processed in the background)
+ * @route   POST /api/biometrics/import/google-fit
+ * @access  Private
+ */
+const importGoogleFit = async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload the JSON files from Takeout/Fit/All Data'
+      });
+    }
+
+    await sendImportStarted(req, res, { source: 'google_fit', files: req.files });
+  } catch (error) {
+    logger.error('Google Fit import error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Import Fitbit data-export JSON files (processed in the background)
+ * @route   POST /api/biometrics/import/fitbit
+ * @access  Private
+ */
+const importFitbit = async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload your Fitbit steps, heart_rate, weight and sleep JSON files'
+      });
+    }
+
+    const weightUnit = req.body.weightUnit || 'kg';
+    if (!['kg', 'lb'].includes(weightUnit)) {
+      return res.status(400).json({
+        success: false,
+        message: 'weightUnit must be kg or lb'
+      });
+    }
+
+    await sendImportStarted(req, res, { source: 'fitbit', files: req.files, options: { weightUnit } });
+  } catch (error) {
+    logger.error('Fitbit import error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List recent import jobs
+ * @route   GET /api/biometrics/import/jobs
+ * @access  Private
+ */
+const getImportJobs = async (req, res, next) => {
+  try {
+    const jobs = await ImportJob.find({ userId: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      jobs
+    });
+  } catch (error) {
+    logger.error('Get import jobs error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an import job's status and progress
+ * @route   GET /api/biometrics/import/jobs/:id
+ * @access  Private
+ */
+const getImportJob = async (req, res, next) => {
+  try {
+    const job = await ImportJob.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    logger.error('Get import job error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export biometric data as a FHIR R4 Bundle
+ * @route   GET /api/biometrics/export/fhir
+ * @access  Private
+ */
+const exportFhirBundle = async (req, res, next) => {
+  try {
+    const { start, end } = req.query;
+    const supportedTypes = Object.keys(FHIR_OBSERVATION_TYPES);
+
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean)
+      : supportedTypes;
+
+    const unsupported = types.filter(t => !supportedTypes.includes(t));
+    if (unsupported.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported types: ${unsupported.join(', ')}. Supported types are ${supportedTypes.join(', ')}`
+      });
+    }
+
+    const startDate = start ? new Date(start) : null;
+    const endDate = end ? new Date(end) : null;
+    if ((startDate && isNaN(startDate)) || (endDate && isNaN(endDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'start and end must be valid dates'
+      });
+    }
+    if (startDate && endDate && startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'start must be before end'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+    const bundle = await buildFhirBundle(user, {
+      start: startDate,
+      end: endDate,
+      types,
+      baseUrl
+    });
+
+    res.status(200).type('application/fhir+json').json(bundle);
+  } catch (error) {
+    logger.error('FHIR export error:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   logBiometricData,
+  importBiometricCSV,
+  importAppleHealth,
+  importGoogleFit,
+  importFitbit,
+  getImportJobs,
+  getImportJob,
+  exportFhirBundle,
   getBiometricByType,
+  getBiometricSeriesByType,
+  getCorrelations,
+  getHeartRateZones,
+  getRestingHeartRate,
+  getHeartRateTimeInZones,
   getBiometricSummary,
   updateBiometricData,
+  getPendingAnomalies,
+  reviewAnomaly,
   deleteBiometricData,
   getProgressDashboard
 };
\ No newline at end of file
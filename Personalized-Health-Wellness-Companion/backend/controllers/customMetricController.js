@@ -0,0 +1,177 @@
+const CustomMetric = require('../models/CustomMetric');
+const BiometricData = require('../models/BiometricData');
+const { toCustomTypeKey } = require('../utils/biometricTypes');
+const logger = require('../utils/logger');
+
+const MAX_CUSTOM_METRICS = 50;
+
+/**
+ * @desc    Define a custom biometric metric
+ * @route   POST /api/biometrics/metrics
+ * @access  Private
+ */
+const createCustomMetric = async (req, res, next) => {
+  try {
+    const { name, unit, description, minValue, maxValue, aggregation } = req.body;
+
+    const key = toCustomTypeKey(name);
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        message: 'Metric name must contain letters or numbers'
+      });
+    }
+
+    const existing = await CustomMetric.findOne({ userId: req.user.id, key });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: existing.archivedAt
+          ? `An archived metric named '${existing.name}' already exists - restore it instead`
+          : `You already have a metric named '${existing.name}'`
+      });
+    }
+
+    const count = await CustomMetric.countDocuments({ userId: req.user.id });
+    if (count >= MAX_CUSTOM_METRICS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can define up to ${MAX_CUSTOM_METRICS} custom metrics`
+      });
+    }
+
+    const metric = await CustomMetric.create({
+      userId: req.user.id,
+      key,
+      name,
+      unit,
+      description,
+      minValue,
+      maxValue,
+      aggregation
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom metric created',
+      metric
+    });
+  } catch (error) {
+    logger.error('Create custom metric error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the user's custom metrics
+ * @route   GET /api/biometrics/metrics
+ * @access  Private
+ */
+const getCustomMetrics = async (req, res, next) => {
+  try {
+    const query = { userId: req.user.id };
+    if (req.query.includeArchived !== 'true') {
+      query.archivedAt = { $exists: false };
+    }
+
+    const metrics = await CustomMetric.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: metrics.length,
+      metrics
+    });
+  } catch (error) {
+    logger.error('Get custom metrics error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a custom metric (or restore an archived one)
+ * @route   PUT /api/biometrics/metrics/:id
+ * @access  Private
+ */
+const updateCustomMetric = async (req, res, next) => {
+  try {
+    const metric = await CustomMetric.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!metric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom metric not found'
+      });
+    }
+
+    const { name, unit, description, minValue, maxValue, aggregation, restore } = req.body;
+
+    // Existing readings are stored in the metric's unit, so it can't change under them
+    if (unit !== undefined && unit !== metric.unit) {
+      const hasReadings = await BiometricData.exists({ userId: req.user.id, type: metric.key });
+      if (hasReadings) {
+        return res.status(400).json({
+          success: false,
+          message: 'The unit cannot be changed once readings have been logged'
+        });
+      }
+      metric.unit = unit;
+    }
+
+    // The key stays the same so existing readings keep pointing at this metric
+    if (name !== undefined) metric.name = name;
+    if (description !== undefined) metric.description = description;
+    if (minValue !== undefined) metric.minValue = minValue === null ? undefined : minValue;
+    if (maxValue !== undefined) metric.maxValue = maxValue === null ? undefined : maxValue;
+    if (aggregation !== undefined) metric.aggregation = aggregation;
+    if (restore) metric.archivedAt = undefined;
+
+    await metric.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Custom metric updated',
+      metric
+    });
+  } catch (error) {
+    logger.error('Update custom metric error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Archive a custom metric (its readings are kept)
+ * @route   DELETE /api/biometrics/metrics/:id
+ * @access  Private
+ */
+const deleteCustomMetric = async (req, res, next) => {
+  try {
+    const metric = await CustomMetric.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!metric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom metric not found'
+      });
+    }
+
+    if (!metric.archivedAt) {
+      metric.archivedAt = new Date();
+      await metric.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Custom metric archived. Its readings are kept and it can be restored.'
+    });
+  } catch (error) {
+    logger.error('Delete custom metric error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  createCustomMetric,
+  getCustomMetrics,
+  updateCustomMetric,
+  deleteCustomMetric
+};
\ No newline at end of file
@@ -1,7 +1,9 @@
 const Goal = require('../models/Goal');
 const ActivityLog = require('../models/ActivityLog');
-const Notification = require('../models/Notification');
-const { awardPoints, checkAndAwardBadges } = require('../services/gamificationService');
+const { awardPoints } = require('../services/gamificationService');
+const { recordGoalProgress } = require('../services/goalService');
+const { getMetricDefinition } = require('../services/customMetricService');
+const { convertCanonicalTo } = require('../utils/units');
 const logger = require('../utils/logger');
 
 /**
@@ -11,6 +13,29 @@ const logger = require('../utils/logger');
  */
 const createGoal = async (req, res, next) => {
   try {
+    // Goals can track a biometric type, in a unit that type can be converted to
+    if (req.body.metric) {
+      const definition = await getMetricDefinition(req.user.id, req.body.metric);
+
+      if (!definition || definition.archived) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown metric '${req.body.metric}'`
+        });
+      }
+
+      const unitMatches = definition.builtIn
+        ? convertCanonicalTo(definition.key, 1, req.body.unit) !== null
+        : definition.unit.toLowerCase() === req.body.unit.trim().toLowerCase();
+
+      if (!unitMatches) {
+        return res.status(400).json({
+          success: false,
+          message: `Unit '${req.body.unit}' can't be used for ${definition.name || definition.key}`
+        });
+      }
+    }
+
     const goalData = {
       ...req.body,
       userId: req.user.id,
@@ -135,42 +160,12 @@ const updateGoalProgress = async (req, res, next) => {
       });
     }
 
-    // Update progress
-    await goal.updateProgress(currentValue, notes);
+    // Update progress (completion rewards are handled by the service)
+    await recordGoalProgress(req.user.id, goal, currentValue, notes);
 
     // Award points
     await awardPoints(req.user.id, 5, 'Updated goal progress');
 
-    // Check if goal was just completed
-    if (goal.status === 'completed') {
-      // Award bonus points for completion
-      await awardPoints(req.user.id, 50, `Completed goal: ${goal.title}`);
-
-      // Create notification
-      await Notification.create({
-        userId: req.user.id,
-        type: 'goal_milestone',
-        title: '🎉 Goal Completed!',
-        message: `Congratulations! You've achieved your goal: ${goal.title}`,
-        relatedId: goal._id,
-        relatedModel: 'Goal',
-        priority: 'high'
-      });
-
-      // Log activity
-      await ActivityLog.create({
-        userId: req.user.id,
-        activityType: 'goal_completed',
-        description: `Completed goal: ${goal.title}`,
-        relatedId: goal._id,
-        relatedModel: 'Goal',
-        pointsEarned: 50
-      });
-
-      // Check for badges
-      await checkAndAwardBadges(req.user.id);
-    }
-
     res.status(200).json({
       success: true,
       message: goal.status === 'completed' ? 'Goal completed! 🎉' : 'Progress updated successfully',
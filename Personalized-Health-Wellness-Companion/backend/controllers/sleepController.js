@@ -0,0 +1,229 @@
+const SleepSession = require('../models/SleepSession');
+const ActivityLog = require('../models/ActivityLog');
+const { getLocalDateRange } = require('../utils/timezone');
+const { checkAndAwardBadges, awardPoints } = require('../services/gamificationService');
+const {
+  saveSleepSession,
+  removeSleepSession,
+  getSleepStats: calculateSleepStats
+} = require('../services/sleepService');
+const logger = require('../utils/logger');
+
+const SESSION_FIELDS = ['bedtime', 'wakeTime', 'sleepLatency', 'awakenings', 'stages', 'quality', 'notes'];
+
+/**
+ * @desc    Log a sleep session
+ * @route   POST /api/sleep
+ * @access  Private
+ */
+const logSleepSession = async (req, res, next) => {
+  try {
+    const { bedtime, wakeTime } = req.body;
+
+    const overlapping = await SleepSession.findOverlapping(req.user.id, {
+      bedtime: new Date(bedtime),
+      wakeTime: new Date(wakeTime)
+    });
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        message: 'This overlaps a sleep session you already logged'
+      });
+    }
+
+    const session = new SleepSession({ userId: req.user.id });
+    SESSION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) session[field] = req.body[field];
+    });
+
+    await saveSleepSession(req.user, session);
+
+    // Award points
+    await awardPoints(req.user.id, 5, 'Logged sleep session');
+
+    // Log activity
+    await ActivityLog.create({
+      userId: req.user.id,
+      activityType: 'biometric_logged',
+      description: `Logged sleep: ${(session.asleepMinutes / 60).toFixed(1)} hours (score ${session.score})`,
+      relatedId: session._id,
+      relatedModel: 'SleepSession',
+      pointsEarned: 5
+    });
+
+    // Check for badges
+    await checkAndAwardBadges(req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Sleep session logged successfully',
+      data: session
+    });
+  } catch (error) {
+    logger.error('Log sleep session error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get recent sleep sessions
+ * @route   GET /api/sleep
+ * @access  Private
+ */
+const getSleepSessions = async (req, res, next) => {
+  try {
+    const { days = 30, limit = 100 } = req.query;
+
+    const { start, end } = getLocalDateRange(parseInt(days), req.user.timezone);
+
+    const sessions = await SleepSession.find({
+      userId: req.user.id,
+      wakeTime: { $gte: start, $lt: end }
+    })
+      .sort({ wakeTime: -1 })
+      .limit(parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    logger.error('Get sleep sessions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get sleep averages, consistency and sleep debt
+ * @route   GET /api/sleep/stats
+ * @access  Private
+ */
+const getSleepStats = async (req, res, next) => {
+  try {
+    const days = req.query.days === undefined ? 14 : parseInt(req.query.days);
+
+    if (!(days >= 7 && days <= 90)) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be between 7 and 90'
+      });
+    }
+
+    const stats = await calculateSleepStats(req.user, { days });
+
+    res.status(200).json({
+      success: true,
+      stats
+    });
+  } catch (error) {
+    logger.error('Get sleep stats error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single sleep session
+ * @route   GET /api/sleep/:id
+ * @access  Private
+ */
+const getSleepSession = async (req, res, next) => {
+  try {
+    const session = await SleepSession.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sleep session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    logger.error('Get sleep session error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a sleep session
+ * @route   PUT /api/sleep/:id
+ * @access  Private
+ */
+const updateSleepSession = async (req, res, next) => {
+  try {
+    const session = await SleepSession.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sleep session not found'
+      });
+    }
+
+    SESSION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) session[field] = req.body[field] === null ? undefined : req.body[field];
+    });
+
+    if (session.isModified('bedtime') || session.isModified('wakeTime')) {
+      const overlapping = await SleepSession.findOverlapping(req.user.id, session, session._id);
+      if (overlapping) {
+        return res.status(409).json({
+          success: false,
+          message: 'This overlaps a sleep session you already logged'
+        });
+      }
+    }
+
+    await saveSleepSession(req.user, session);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sleep session updated successfully',
+      data: session
+    });
+  } catch (error) {
+    logger.error('Update sleep session error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a sleep session (and its sleep_duration reading)
+ * @route   DELETE /api/sleep/:id
+ * @access  Private
+ */
+const deleteSleepSession = async (req, res, next) => {
+  try {
+    const session = await SleepSession.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sleep session not found'
+      });
+    }
+
+    await removeSleepSession(req.user, session);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sleep session deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete sleep session error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  logSleepSession,
+  getSleepSessions,
+  getSleepStats,
+  getSleepSession,
+  updateSleepSession,
+  deleteSleepSession
+};
\ No newline at end of file
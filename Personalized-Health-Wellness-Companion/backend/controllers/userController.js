@@ -1,6 +1,10 @@
 const User = require('../models/User');
+const DataExport = require('../models/DataExport');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinary');
 const { calculateBMI, calculateDailyCalories } = require('../utils/helpers');
+const { getDayBounds } = require('../utils/timezone');
+const { startDataExport, getExportForDownload, failStaleExports } = require('../services/dataExportService');
+const { scheduleAccountDeletion } = require('../services/accountDeletionService');
 const logger = require('../utils/logger');
 
 /**
@@ -22,7 +26,10 @@ const updateProfile = async (req, res, next) => {
       dietaryPreferences,
       allergies,
       bio,
-      timezone
+      timezone,
+      unitSystem,
+      sleepGoalHours,
+      maxHeartRate
     } = req.body;
 
     const user = await User.findById(req.user.id);
@@ -34,6 +41,16 @@ const updateProfile = async (req, res, next) => {
       });
     }
 
+    // Social-login users set their physical attributes (and with them the
+    // calorie target) through the complete-profile step first
+    if (user.profileCompleted === false && (age || gender || height || weight || activityLevel)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please complete your profile at /api/auth/complete-profile before changing age, gender, height, weight or activity level',
+        profileCompleted: false
+      });
+    }
+
     // Update fields
     if (name) user.name = name;
     if (age) user.age = age;
@@ -47,6 +64,10 @@ const updateProfile = async (req, res, next) => {
     if (allergies) user.allergies = allergies;
     if (bio) user.bio = bio;
     if (timezone) user.timezone = timezone;
+    if (unitSystem) user.unitSystem = unitSystem;
+    if (sleepGoalHours) user.sleepGoalHours = sleepGoalHours;
+    // null clears the override so max HR is predicted from age again
+    if (maxHeartRate !== undefined) user.maxHeartRate = maxHeartRate === null ? undefined : maxHeartRate;
 
     // Recalculate daily calorie target if relevant fields changed
     if (weight || height || age || gender || activityLevel) {
@@ -81,6 +102,7 @@ const updateProfile = async (req, res, next) => {
         dailyCalorieTarget: user.dailyCalorieTarget,
         bio: user.bio,
         timezone: user.timezone,
+        unitSystem: user.unitSystem,
         profilePicture: user.profilePicture?.url
       }
     });
@@ -241,14 +263,12 @@ const getDashboardStats = async (req, res, next) => {
       status: 'active'
     });
 
-    // Get latest weight
-    const latestWeight = await BiometricData.getLatestByType(req.user.id, 'weight');
+    // Get latest weight (in the user's unit system)
+    const latestWeightEntry = await BiometricData.getLatestByType(req.user.id, 'weight');
+    const latestWeight = latestWeightEntry?.toUnitSystem(user.unitSystem);
 
-    // Get today's activities
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // Get today's activities (today in the user's time zone)
+    const { start: today, end: tomorrow } = getDayBounds(new Date(), user.timezone);
 
     const todayActivities = await ActivityLog.countDocuments({
       userId: req.user.id,
@@ -301,7 +321,7 @@ const getDashboardStats = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete user account
+ * @desc    Schedule user account deletion (30-day grace period)
  * @route   DELETE /api/users/account
  * @access  Private
  */
@@ -316,20 +336,21 @@ const deleteAccount = async (req, res, next) => {
       });
     }
 
-    // Delete profile picture from cloudinary
-    if (user.profilePicture?.publicId) {
-      await deleteFromCloudinary(user.profilePicture.publicId);
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+        deletionScheduledFor: user.deletionScheduledFor
+      });
     }
 
-    // Delete user and all related data
-    await user.deleteOne();
-
-    // Note: In production, you might want to anonymize rather than delete
-    // Or cascade delete all related data using middleware
+    // Data is purged by the scheduled deletion job once the grace period ends
+    const deletionScheduledFor = await scheduleAccountDeletion(user);
 
     res.status(200).json({
       success: true,
-      message: 'Account deleted successfully'
+      message: 'Account scheduled for deletion. Log in again before the deletion date to cancel.',
+      deletionScheduledFor
     });
   } catch (error) {
     logger.error('Delete account error:', error);
@@ -337,11 +358,104 @@ const deleteAccount = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Request a full personal data export
+ * @route   POST /api/users/export
+ * @access  Private
+ */
+const requestDataExport = async (req, res, next) => {
+  try {
+    // Only one export may be in progress at a time; interrupted jobs don't count
+    await failStaleExports({ userId: req.user._id });
+
+    const inProgress = await DataExport.findOne({
+      userId: req.user.id,
+      status: { $in: ['pending', 'processing'] }
+    });
+
+    if (inProgress) {
+      return res.status(400).json({
+        success: false,
+        message: 'A data export is already in progress. You will be notified when it is ready.',
+        data: inProgress
+      });
+    }
+
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+    const job = await startDataExport(req.user._id, baseUrl);
+
+    res.status(202).json({
+      success: true,
+      message: 'Data export started. You will be notified when it is ready to download.',
+      data: job
+    });
+  } catch (error) {
+    logger.error('Request data export error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get data export status
+ * @route   GET /api/users/export/:id
+ * @access  Private
+ */
+const getDataExport = async (req, res, next) => {
+  try {
+    const job = await DataExport.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Data export not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error('Get data export error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download a completed data export (time-limited link)
+ * @route   GET /api/users/export/:id/download?token=
+ * @access  Public (signed link)
+ */
+const downloadDataExport = async (req, res, next) => {
+  try {
+    const job = await getExportForDownload(req.params.id, req.query.token);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    const fileName = `health-data-export-${job.completedAt.toISOString().slice(0, 10)}.zip`;
+    res.download(job.filePath, fileName);
+  } catch (error) {
+    logger.error('Download data export error:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   updateProfile,
   uploadProfilePicture,
   updateNotificationPreferences,
   getUserProfile,
   getDashboardStats,
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
   deleteAccount
 };
\ No newline at end of file
@@ -6,6 +6,10 @@ const {
   sendWaterReminder 
 } = require('../services/notificationService');
 const { checkAndResetStreak } = require('../services/streakService');
+const { sendDueSleepReminders } = require('../services/sleepService');
+const { cleanupExpiredExports, failStaleExports } = require('../services/dataExportService');
+const { failStaleImports } = require('../services/biometricImportService');
+const { processScheduledDeletions } = require('../services/accountDeletionService');
 const logger = require('../utils/logger');
 
 /**
@@ -113,6 +117,23 @@ const scheduleWaterReminders = () => {
   });
 };
 
+/**
+ * Schedule sleep reminders - Every 15 minutes, sent 30 minutes before
+ * each user's typical bedtime in their own time zone
+ */
+const scheduleSleepReminders = () => {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const sent = await sendDueSleepReminders();
+      if (sent > 0) {
+        logger.info(`✅ Sent sleep reminders to ${sent} users`);
+      }
+    } catch (error) {
+      logger.error('Sleep reminder cron error:', error);
+    }
+  });
+};
+
 /**
  * Check and reset streaks - Every day at midnight
  */
@@ -137,6 +158,50 @@ const scheduleStreakCheck = () => {
   });
 };
 
+/**
+ * Delete expired data export archives and fail interrupted exports
+ * and imports - Every hour
+ */
+const scheduleExportCleanup = () => {
+  cron.schedule('0 * * * *', async () => {
+    try {
+      const removed = await cleanupExpiredExports();
+      if (removed > 0) {
+        logger.info(`🗑️ Removed ${removed} expired data exports`);
+      }
+
+      const failed = await failStaleExports();
+      if (failed > 0) {
+        logger.info(`⚠️ Failed ${failed} interrupted data exports`);
+      }
+
+      const failedImports = await failStaleImports();
+      if (failedImports > 0) {
+        logger.info(`⚠️ Failed ${failedImports} interrupted biometric imports`);
+      }
+    } catch (error) {
+      logger.error('Export cleanup cron error:', error);
+    }
+  });
+};
+
+/**
+ * Purge accounts whose deletion grace period has ended - Every day at 3 AM
+ */
+const scheduleAccountDeletions = () => {
+  cron.schedule('0 3 * * *', async () => {
+    try {
+      logger.info('⏰ Running account deletion cron job...');
+
+      const deleted = await processScheduledDeletions();
+
+      logger.info(`✅ Permanently deleted ${deleted} accounts`);
+    } catch (error) {
+      logger.error('Account deletion cron error:', error);
+    }
+  });
+};
+
 /**
  * Initialize all cron jobs
  */
@@ -146,7 +211,10 @@ const initializeCronJobs = () => {
   scheduleWorkoutReminders();
   scheduleMealReminders();
   scheduleWaterReminders();
+  scheduleSleepReminders();
   scheduleStreakCheck();
+  scheduleExportCleanup();
+  scheduleAccountDeletions();
   
   logger.info('✅ All cron jobs initialized');
 };
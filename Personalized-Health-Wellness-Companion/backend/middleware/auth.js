@@ -1,8 +1,39 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { hasScope, getRequiredAccess } = require('../utils/apiScopes');
 
 /**
- * Protect routes - Verify JWT token
+ * Authenticate a request made with a personal API key
+ */
+const authenticateApiKey = async (rawKey, req, res, next) => {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(rawKey) });
+
+  if (!apiKey || !apiKey.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key is invalid, expired or revoked.'
+    });
+  }
+
+  req.user = await User.findById(apiKey.userId).select('-password');
+
+  if (!req.user || req.user.accountStatus !== 'active' || req.user.deletionScheduledFor) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key is invalid, expired or revoked.'
+    });
+  }
+
+  await apiKey.touch();
+  req.apiKey = apiKey;
+
+  next();
+};
+
+/**
+ * Protect routes - Verify JWT token or personal API key
  */
 const protect = async (req, res, next) => {
   try {
@@ -11,6 +42,8 @@ const protect = async (req, res, next) => {
     // Check if token exists in headers
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
+    } else if (req.headers['x-api-key']) {
+      token = req.headers['x-api-key'];
     }
 
     if (!token) {
@@ -20,10 +53,22 @@ const protect = async (req, res, next) => {
       });
     }
 
+    if (ApiKey.isApiKey(token)) {
+      return await authenticateApiKey(token, req, res, next);
+    }
+
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+      if (decoded.purpose) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token is invalid or expired. Please login again.'
+        });
+      }
+
       // Get user from token
       req.user = await User.findById(decoded.id).select('-password');
 
@@ -34,6 +79,29 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Reject tokens issued before the user's sessions were revoked
+      if ((decoded.tv || 0) !== (req.user.tokenVersion || 0)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please login again.'
+        });
+      }
+
+      // Reject requests from revoked or expired device sessions
+      if (decoded.sid) {
+        const session = await Session.findById(decoded.sid);
+
+        if (!session || !session.isActive) {
+          return res.status(401).json({
+            success: false,
+            message: 'Session has been revoked. Please login again.'
+          });
+        }
+
+        await session.touch();
+        req.sessionId = session._id.toString();
+      }
+
       next();
     } catch (error) {
       return res.status(401).json({
@@ -64,4 +132,71 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
\ No newline at end of file
+/**
+ * Require a verified email address
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to access this feature'
+    });
+  }
+  next();
+};
+
+/**
+ * Require a completed profile (social-login accounts start without one)
+ */
+const requireCompleteProfile = (req, res, next) => {
+  if (req.user.profileCompleted === false) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please complete your profile to access this feature',
+      profileCompleted: false
+    });
+  }
+  next();
+};
+
+/**
+ * Enforce API key scopes for a resource (JWT requests are unrestricted).
+ * Read access covers GET requests; anything else needs write access.
+ */
+const requireScope = (resource) => {
+  return (req, res, next) => {
+    if (!req.apiKey) return next();
+
+    const access = getRequiredAccess(req.method);
+
+    if (!hasScope(req.apiKey.scopes, resource, access)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing the '${resource}:${access}' scope`
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Reject API keys - for account and security routes that need a real login
+ */
+const denyApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot access this route. Please login.'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  authorize,
+  requireVerifiedEmail,
+  requireCompleteProfile,
+  requireScope,
+  denyApiKey
+};
\ No newline at end of file
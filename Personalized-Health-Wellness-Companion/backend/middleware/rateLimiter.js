@@ -23,6 +23,16 @@ const authLimiter = rateLimit({
   }
 });
 
+// Magic-link requests - every request counts, since each one sends an email
+const magicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3, // 3 links per window
+  message: {
+    success: false,
+    message: 'Too many sign-in link requests, please try again later.'
+  }
+});
+
 // AI recommendation rate limiter (more strict due to API costs)
 const aiLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
@@ -33,4 +43,4 @@ const aiLimiter = rateLimit({
   }
 });
 
-module.exports = { apiLimiter, authLimiter, aiLimiter };
\ No newline at end of file
+module.exports = { apiLimiter, authLimiter, magicLinkLimiter, aiLimiter };
\ No newline at end of file
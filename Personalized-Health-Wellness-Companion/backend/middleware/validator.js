@@ -1,4 +1,14 @@
 const Joi = require('joi');
+const { SCOPE_PATTERN } = require('../utils/apiScopes');
+const { UNIT_SYSTEMS, toCanonicalUnit, getAcceptedUnits } = require('../utils/units');
+const { BUILT_IN_TYPES, CUSTOM_TYPE_PATTERN } = require('../utils/biometricTypes');
+const { HEART_RATE_CONTEXTS } = require('../utils/heartRate');
+
+// A built-in biometric type or a custom metric key (custom_*)
+const biometricType = () => Joi.string()
+  .allow(...BUILT_IN_TYPES)
+  .pattern(CUSTOM_TYPE_PATTERN)
+  .messages({ 'string.pattern.base': '{#label} must be a built-in type or a custom metric key' });
 
 /**
  * Validate request body against Joi schema
@@ -40,30 +50,148 @@ const validationSchemas = {
     allergies: Joi.array().items(Joi.string())
   }),
 
+  // Complete Profile (after social login)
+  completeProfile: Joi.object({
+    age: Joi.number().min(13).max(120).required(),
+    gender: Joi.string().valid('male', 'female', 'other').required(),
+    height: Joi.number().min(50).max(300).required(),
+    weight: Joi.number().min(20).max(500).required(),
+    activityLevel: Joi.string().valid('sedentary', 'light', 'moderate', 'active', 'veryActive').default('moderate'),
+    healthGoals: Joi.array().items(Joi.string().valid('weight_loss', 'muscle_gain', 'maintain_weight', 'improve_fitness', 'better_sleep', 'stress_management')),
+    dietaryPreferences: Joi.array().items(Joi.string().valid('vegetarian', 'vegan', 'keto', 'paleo', 'mediterranean', 'none')),
+    allergies: Joi.array().items(Joi.string())
+  }),
+
+  // OIDC Callback
+  oidcCallback: Joi.object({
+    code: Joi.string().required(),
+    state: Joi.string().required()
+  }),
+
   // User Login
   login: Joi.object({
     email: Joi.string().email().required(),
     password: Joi.string().required()
   }),
 
+  // Magic Link Request
+  magicLink: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  // Two-Factor Login (second step)
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string()
+  }).xor('code', 'recoveryCode'),
+
+  // Two-Factor Enrolment Confirmation
+  twoFactorCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  // Two-Factor Disable
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required()
+  }),
+
+  // Refresh Token
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required()
+  }),
+
   // Biometric Data
   biometricData: Joi.object({
-    type: Joi.string().valid('weight', 'heart_rate', 'sleep_duration', 'blood_pressure', 'steps', 'calories_consumed', 'calories_burned', 'water_intake', 'body_fat', 'mood').required(),
-    value: Joi.number().required(),
+    type: biometricType().required(),
+    // Blood pressure takes its value from the systolic reading
+    value: Joi.number().when('type', {
+      is: 'blood_pressure',
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    }),
     unit: Joi.string().required(),
     date: Joi.date().default(Date.now),
-    notes: Joi.string().max(500).allow('')
+    notes: Joi.string().max(500).allow(''),
+    additionalData: Joi.object({
+      systolic: Joi.number().min(50).max(300),
+      diastolic: Joi.number().min(30).max(200),
+      context: Joi.string().valid(...HEART_RATE_CONTEXTS)
+    }).when('type', {
+      is: 'blood_pressure',
+      then: Joi.object({
+        systolic: Joi.required(),
+        diastolic: Joi.required()
+      }).required()
+    })
+  }).custom((entry, helpers) => {
+    if (entry.type === 'blood_pressure' && entry.additionalData.systolic <= entry.additionalData.diastolic) {
+      return helpers.message('Systolic pressure must be higher than diastolic pressure');
+    }
+    if (!toCanonicalUnit(entry.type, entry.value, entry.unit)) {
+      return helpers.message(`Unit '${entry.unit}' is not supported for ${entry.type} (use ${getAcceptedUnits(entry.type).join(', ')})`);
+    }
+    return entry;
+  }),
+
+  // Anomaly Review
+  anomalyReview: Joi.object({
+    decision: Joi.string().valid('accept', 'outlier').required()
+  }),
+
+  // Custom Metrics
+  customMetric: Joi.object({
+    name: Joi.string().trim().min(2).max(50).required(),
+    unit: Joi.string().trim().min(1).max(20).required(),
+    description: Joi.string().max(200).allow(''),
+    minValue: Joi.number(),
+    maxValue: Joi.number().when('minValue', {
+      is: Joi.exist(),
+      then: Joi.number().greater(Joi.ref('minValue'))
+    }),
+    aggregation: Joi.string().valid('sum', 'avg', 'min', 'max', 'last')
   }),
 
+  customMetricUpdate: Joi.object({
+    name: Joi.string().trim().min(2).max(50),
+    unit: Joi.string().trim().min(1).max(20),
+    description: Joi.string().max(200).allow(''),
+    minValue: Joi.number().allow(null),
+    maxValue: Joi.number().allow(null),
+    aggregation: Joi.string().valid('sum', 'avg', 'min', 'max', 'last'),
+    restore: Joi.boolean()
+  }).min(1),
+
   // Goal Creation
   goal: Joi.object({
-    type: Joi.string().valid('weight', 'fitness', 'nutrition', 'mindfulness').required(),
+    type: Joi.string().valid('weight', 'fitness', 'nutrition', 'mindfulness', 'sleep', 'custom').required(),
     title: Joi.string().min(3).max(100).required(),
     targetValue: Joi.number().required(),
     currentValue: Joi.number().required(),
     unit: Joi.string().required(),
     deadline: Joi.date().min('now').required(),
-    description: Joi.string().max(500).allow('')
+    description: Joi.string().max(500).allow(''),
+    // Biometric type whose readings update the goal's progress
+    metric: biometricType()
+  }),
+
+  // Admin: Change Role
+  adminUpdateRole: Joi.object({
+    role: Joi.string().valid('user', 'expert', 'admin').required(),
+    reason: Joi.string().max(500).allow('')
+  }),
+
+  // Admin: Change Account Status
+  adminUpdateStatus: Joi.object({
+    status: Joi.string().valid('active', 'inactive', 'suspended').required(),
+    reason: Joi.string().max(500).allow('')
+  }),
+
+  // API Keys
+  apiKey: Joi.object({
+    name: Joi.string().trim().max(50).required(),
+    scopes: Joi.array().items(Joi.string().pattern(SCOPE_PATTERN).message('Invalid scope "{#value}"')).min(1).unique((a, b) => a.split(':')[0] === b.split(':')[0]).required(),
+    expiresInDays: Joi.number().integer().min(1).max(365)
   }),
 
   // Update Profile
@@ -76,8 +204,49 @@ const validationSchemas = {
     activityLevel: Joi.string().valid('sedentary', 'light', 'moderate', 'active', 'veryActive'),
     healthGoals: Joi.array().items(Joi.string()),
     dietaryPreferences: Joi.array().items(Joi.string()),
-    allergies: Joi.array().items(Joi.string())
-  })
+    allergies: Joi.array().items(Joi.string()),
+    unitSystem: Joi.string().valid(...UNIT_SYSTEMS),
+    sleepGoalHours: Joi.number().min(4).max(12),
+    maxHeartRate: Joi.number().integer().min(100).max(230).allow(null)
+  }),
+
+  // Activity Import (multipart fields sent with the file)
+  activityImport: Joi.object({
+    sport: Joi.string().valid('running', 'cycling', 'walking', 'hiking', 'swimming', 'other'),
+    name: Joi.string().trim().max(100).allow(''),
+    notes: Joi.string().max(500).allow('')
+  }),
+
+  // Sleep Session
+  sleepSession: Joi.object({
+    bedtime: Joi.date().required(),
+    wakeTime: Joi.date().greater(Joi.ref('bedtime')).max('now').required(),
+    sleepLatency: Joi.number().min(0).max(240),
+    awakenings: Joi.number().integer().min(0).max(50),
+    stages: Joi.object({
+      light: Joi.number().min(0),
+      deep: Joi.number().min(0),
+      rem: Joi.number().min(0),
+      awake: Joi.number().min(0)
+    }),
+    quality: Joi.number().integer().min(1).max(5),
+    notes: Joi.string().max(500).allow('')
+  }),
+
+  sleepSessionUpdate: Joi.object({
+    bedtime: Joi.date(),
+    wakeTime: Joi.date().max('now'),
+    sleepLatency: Joi.number().min(0).max(240),
+    awakenings: Joi.number().integer().min(0).max(50),
+    stages: Joi.object({
+      light: Joi.number().min(0),
+      deep: Joi.number().min(0),
+      rem: Joi.number().min(0),
+      awake: Joi.number().min(0)
+    }).allow(null),
+    quality: Joi.number().integer().min(1).max(5),
+    notes: Joi.string().max(500).allow('')
+  }).min(1)
 };
 
 module.exports = { validate, validationSchemas };
\ No newline at end of file
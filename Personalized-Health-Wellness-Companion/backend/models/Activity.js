@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const SplitSchema = new mongoose.Schema({
+  index: Number,
+  distanceMeters: Number,
+  movingSeconds: Number,
+  paceSecondsPerKm: Number,
+  speedKmh: Number,
+  elevationGainMeters: Number,
+  averageHeartRate: Number
+}, { _id: false });
+
+const ActivitySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    maxlength: 100
+  },
+  sport: {
+    type: String,
+    enum: ['running', 'cycling', 'walking', 'hiking', 'swimming', 'other'],
+    default: 'other'
+  },
+  source: {
+    type: String,
+    enum: ['gpx', 'tcx'],
+    required: true
+  },
+
+  // Timing
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  elapsedSeconds: Number,
+  movingSeconds: Number,
+
+  // Distance and pace
+  distanceMeters: Number,
+  averagePaceSecondsPerKm: Number,
+  averageSpeedKmh: Number,
+  maxSpeedKmh: Number,
+  elevationGainMeters: Number,
+  elevationLossMeters: Number,
+  splits: [SplitSchema],
+
+  // Heart rate (bpm) and minutes per zone at the time of import
+  heartRate: {
+    average: Number,
+    max: Number,
+    min: Number,
+    minutesInZone: {
+      zone1: Number,
+      zone2: Number,
+      zone3: Number,
+      zone4: Number,
+      zone5: Number
+    }
+  },
+  calories: Number,
+
+  // Simplified GPS route (GeoJSON LineString, [lon, lat] pairs)
+  route: {
+    type: {
+      type: String,
+      enum: ['LineString']
+    },
+    coordinates: {
+      type: [[Number]],
+      default: undefined
+    }
+  },
+
+  // exercise_duration reading created for this activity
+  biometricEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BiometricData'
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ActivitySchema.index({ userId: 1, startTime: -1 });
+ActivitySchema.index({ userId: 1, startTime: 1, sport: 1 }, { unique: true });
+
+module.exports = mongoose.model('Activity', ActivitySchema);
\ No newline at end of file
@@ -37,6 +37,12 @@ const ActivityLogSchema = new mongoose.Schema({
   relatedModel: String,
   
   metadata: mongoose.Schema.Types.Mixed,
+
+  // When the activity happened - earlier than createdAt for imported workouts
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
   
   pointsEarned: {
     type: Number,
@@ -52,7 +58,20 @@ const ActivityLogSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Static helper to match logs by when the activity happened. Logs written
+// before occurredAt existed fall back to createdAt.
+ActivityLogSchema.statics.occurredWithin = function(query = {}, range) {
+  return {
+    ...query,
+    $or: [
+      { occurredAt: range },
+      { occurredAt: { $exists: false }, createdAt: range }
+    ]
+  };
+};
+
 ActivityLogSchema.index({ userId: 1, createdAt: -1 });
+ActivityLogSchema.index({ userId: 1, activityType: 1, occurredAt: -1 });
 ActivityLogSchema.index({ activityType: 1, createdAt: -1 });
 ActivityLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7776000 });
 
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { SCOPE_PATTERN } = require('../utils/apiScopes');
+
+const KEY_PREFIX = 'hwc_';
+
+const ApiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please name the API key'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+
+  // Only a hash of the key is stored; the prefix helps users recognise it
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+
+  scopes: {
+    type: [String],
+    validate: {
+      validator: scopes => scopes.every(scope => SCOPE_PATTERN.test(scope)),
+      message: 'Invalid API key scope'
+    }
+  },
+
+  // Usage and lifetime
+  lastUsedAt: Date,
+  expiresAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the key can be used
+ApiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Check whether a bearer credential looks like an API key
+ApiKeySchema.statics.isApiKey = function(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+};
+
+// Hash a raw key for lookup
+ApiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Create a new key and return the document with the raw key (shown once)
+ApiKeySchema.statics.generate = async function({ userId, name, scopes, expiresAt }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const apiKey = await this.create({
+    userId,
+    name,
+    scopes,
+    expiresAt,
+    keyHash: this.hashKey(key),
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 8)
+  });
+
+  return { apiKey, key };
+};
+
+// Update last-used time (at most once a minute)
+ApiKeySchema.methods.touch = function() {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < 60 * 1000) {
+    return Promise.resolve(this);
+  }
+  this.lastUsedAt = now;
+  return this.save();
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
\ No newline at end of file
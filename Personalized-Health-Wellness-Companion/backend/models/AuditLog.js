@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'user_role_changed',
+      'user_suspended',
+      'user_reactivated',
+      'user_deactivated',
+      'user_unlocked',
+      'user_password_reset_forced'
+    ],
+    required: true
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+
+  // Before/after values and the admin's reason
+  changes: mongoose.Schema.Types.Mixed,
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+
+  // Request context
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Audit entries are append-only
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+AuditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: true }, rejectMutation);
+
+[
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+].forEach(operation => {
+  AuditLogSchema.pre(operation, rejectMutation);
+});
+
+// Indexes
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
\ No newline at end of file
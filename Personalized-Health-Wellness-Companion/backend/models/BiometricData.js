@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const { toCanonicalUnit, toDisplayUnit, getAcceptedUnits } = require('../utils/units');
+const { BP_CATEGORY_KEYS, classifyBloodPressure } = require('../utils/bloodPressure');
+const { isValidType, isCustomType } = require('../utils/biometricTypes');
+const { HEART_RATE_CONTEXTS } = require('../utils/heartRate');
+const CustomMetric = require('./CustomMetric');
+
+// Anomaly states that keep a reading out of stats, badges and dashboards
+const EXCLUDED_ANOMALY_STATUSES = ['pending', 'outlier'];
 
 const BiometricDataSchema = new mongoose.Schema({
   userId: {
@@ -7,24 +15,14 @@ const BiometricDataSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // A built-in type or a user's custom metric key (custom_*)
   type: {
     type: String,
-    enum: [
-      'weight',
-      'heart_rate',
-      'sleep_duration',
-      'blood_pressure',
-      'steps',
-      'calories_consumed',
-      'calories_burned',
-      'water_intake',
-      'body_fat',
-      'muscle_mass',
-      'mood',
-      'stress_level',
-      'exercise_duration'
-    ],
-    required: [true, 'Please specify the biometric type']
+    required: [true, 'Please specify the biometric type'],
+    validate: {
+      validator: isValidType,
+      message: '{VALUE} is not a valid biometric type'
+    }
   },
   value: {
     type: Number,
@@ -47,14 +45,51 @@ const BiometricDataSchema = new mongoose.Schema({
   },
   source: {
     type: String,
-    enum: ['manual', 'fitbit', 'google_fit', 'apple_health', 'api'],
+    enum: ['manual', 'csv_import', 'fitbit', 'google_fit', 'apple_health', 'activity_import', 'api'],
     default: 'manual'
   },
+  // Stable id for imported entries so re-imports don't create duplicates
+  externalId: String,
   
-  // For blood pressure (systolic/diastolic)
+  // For blood pressure (systolic/diastolic, both mmHg)
   additionalData: {
-    systolic: Number,
-    diastolic: Number
+    systolic: {
+      type: Number,
+      min: [50, 'Systolic pressure must be at least 50 mmHg'],
+      max: [300, 'Systolic pressure cannot exceed 300 mmHg']
+    },
+    diastolic: {
+      type: Number,
+      min: [30, 'Diastolic pressure must be at least 30 mmHg'],
+      max: [200, 'Diastolic pressure cannot exceed 200 mmHg']
+    },
+    // AHA category, computed from the two readings
+    category: {
+      type: String,
+      enum: BP_CATEGORY_KEYS
+    },
+    // For heart rate: when the reading was taken
+    context: {
+      type: String,
+      enum: HEART_RATE_CONTEXTS
+    }
+  },
+  
+  // Unusual readings are held (pending) until the user accepts them
+  // or confirms them as outliers
+  anomaly: {
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'outlier']
+    },
+    reasons: [String],
+    baseline: {
+      median: Number,
+      spread: Number,
+      count: Number
+    },
+    flaggedAt: Date,
+    reviewedAt: Date
   },
   
   // Metadata
@@ -69,19 +104,108 @@ const BiometricDataSchema = new mongoose.Schema({
 // Compound indexes for efficient queries
 BiometricDataSchema.index({ userId: 1, type: 1, date: -1 });
 BiometricDataSchema.index({ userId: 1, date: -1 });
+BiometricDataSchema.index(
+  { userId: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $exists: true } } }
+);
+
+// Blood pressure needs both numbers; `value` mirrors the systolic reading
+BiometricDataSchema.pre('validate', function(next) {
+  if (this.type !== 'blood_pressure') return next();
+
+  const { systolic, diastolic } = this.additionalData || {};
+  if (!Number.isFinite(systolic) || !Number.isFinite(diastolic)) {
+    this.invalidate('additionalData', 'Blood pressure readings need both systolic and diastolic values');
+    return next();
+  }
+  if (systolic <= diastolic) {
+    this.invalidate('additionalData', 'Systolic pressure must be higher than diastolic pressure');
+    return next();
+  }
+
+  this.value = systolic;
+  this.unit = this.unit || 'mmHg';
+  this.additionalData.category = classifyBloodPressure(systolic, diastolic);
+  next();
+});
+
+// Store every value in the canonical unit for its type
+BiometricDataSchema.pre('validate', function(next) {
+  if (!this.isModified('value') && !this.isModified('unit') && !this.isModified('type')) {
+    return next();
+  }
+  if (this.value === undefined || this.value === null || !this.unit) {
+    return next();
+  }
+
+  const converted = toCanonicalUnit(this.type, this.value, this.unit);
+  if (!converted) {
+    this.invalidate('unit', `Unit '${this.unit}' is not supported for ${this.type} (use ${getAcceptedUnits(this.type).join(', ')})`);
+    return next();
+  }
+
+  this.value = converted.value;
+  this.unit = converted.unit;
+  next();
+});
+
+// Custom metric readings must belong to one of the user's active metrics,
+// use its unit and fall within its range
+BiometricDataSchema.pre('validate', async function() {
+  if (!isCustomType(this.type)) return;
+  if (!this.isModified('type') && !this.isModified('value') && !this.isModified('unit')) return;
+
+  const metric = await CustomMetric.findOne({
+    userId: this.userId,
+    key: this.type,
+    archivedAt: { $exists: false }
+  });
+
+  if (!metric) {
+    this.invalidate('type', `You don't have an active metric called '${this.type}'`);
+    return;
+  }
+
+  if (String(this.unit || '').trim().toLowerCase() !== metric.unit.toLowerCase()) {
+    this.invalidate('unit', `${metric.name} is recorded in ${metric.unit}`);
+  } else {
+    this.unit = metric.unit;
+  }
+
+  if (!metric.isInRange(this.value)) {
+    this.invalidate('value', `${metric.name} must be ${metric.describeRange()}`);
+  }
+});
+
+// Plain object with the value converted to a unit system
+BiometricDataSchema.methods.toUnitSystem = function(unitSystem) {
+  const entry = this.toObject();
+  const converted = toDisplayUnit(this.type, this.value, this.unit, unitSystem);
+  return converted ? { ...entry, ...converted } : entry;
+};
+
+// Whether this reading is held back or a confirmed outlier
+BiometricDataSchema.methods.isExcluded = function() {
+  return EXCLUDED_ANOMALY_STATUSES.includes(this.anomaly?.status);
+};
+
+// Static helper to restrict a query to readings that count towards stats
+BiometricDataSchema.statics.countedOnly = function(query = {}) {
+  return { ...query, 'anomaly.status': { $nin: EXCLUDED_ANOMALY_STATUSES } };
+};
 
 // Static method to get user's latest data by type
 BiometricDataSchema.statics.getLatestByType = function(userId, type) {
-  return this.findOne({ userId, type }).sort({ date: -1 });
+  return this.findOne(this.countedOnly({ userId, type })).sort({ date: -1 });
 };
 
 // Static method to get data for a date range
 BiometricDataSchema.statics.getByDateRange = function(userId, type, startDate, endDate) {
-  return this.find({
+  return this.find(this.countedOnly({
     userId,
     type,
     date: { $gte: startDate, $lte: endDate }
-  }).sort({ date: 1 });
+  })).sort({ date: 1 });
 };
 
 module.exports = mongoose.model('BiometricData', BiometricDataSchema);
\ No newline at end of file
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const CustomMetricSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Type key used on biometric entries, e.g. "custom_glucose"
+  key: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a metric name'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  unit: {
+    type: String,
+    required: [true, 'Please specify the unit'],
+    trim: true,
+    maxlength: [20, 'Unit cannot be more than 20 characters']
+  },
+
+  // Accepted value range
+  minValue: Number,
+  maxValue: Number,
+
+  // How readings roll up into daily totals, summaries and goals
+  aggregation: {
+    type: String,
+    enum: ['sum', 'avg', 'min', 'max', 'last'],
+    default: 'avg'
+  },
+
+  // Archived metrics keep their data but accept no new readings
+  archivedAt: Date
+}, {
+  timestamps: true
+});
+
+CustomMetricSchema.pre('validate', function(next) {
+  if (this.minValue !== undefined && this.maxValue !== undefined && this.minValue >= this.maxValue) {
+    this.invalidate('maxValue', 'Maximum value must be greater than the minimum value');
+  }
+  next();
+});
+
+// Check a value against the metric's range
+CustomMetricSchema.methods.isInRange = function(value) {
+  if (this.minValue !== undefined && this.minValue !== null && value < this.minValue) return false;
+  if (this.maxValue !== undefined && this.maxValue !== null && value > this.maxValue) return false;
+  return true;
+};
+
+// Describe the accepted range for error messages
+CustomMetricSchema.methods.describeRange = function() {
+  const hasMin = this.minValue !== undefined && this.minValue !== null;
+  const hasMax = this.maxValue !== undefined && this.maxValue !== null;
+
+  if (hasMin && hasMax) return `between ${this.minValue} and ${this.maxValue} ${this.unit}`;
+  if (hasMin) return `at least ${this.minValue} ${this.unit}`;
+  if (hasMax) return `at most ${this.maxValue} ${this.unit}`;
+  return 'any value';
+};
+
+// Static method to get a user's metrics that accept readings
+CustomMetricSchema.statics.getActiveForUser = function(userId) {
+  return this.find({ userId, archivedAt: { $exists: false } }).sort({ name: 1 });
+};
+
+// Indexes
+CustomMetricSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('CustomMetric', CustomMetricSchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const DataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'expired'],
+    default: 'pending'
+  },
+
+  // Generated archive
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileSize: Number, // in bytes
+  recordCounts: mongoose.Schema.Types.Mixed,
+
+  // Time-limited download link (only the hash is stored)
+  downloadTokenHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: Date,
+
+  completedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+DataExportSchema.index({ userId: 1, createdAt: -1 });
+DataExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', DataExportSchema);
\ No newline at end of file
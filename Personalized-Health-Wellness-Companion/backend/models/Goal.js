@@ -38,6 +38,8 @@ const GoalSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Biometric type (built-in or custom_*) whose readings update this goal
+  metric: String,
   
   // Timeline
   startDate: {
@@ -125,8 +127,11 @@ GoalSchema.methods.updateProgress = function(newValue, notes = '') {
     notes
   });
   
-  // Check if goal is completed
-  if (this.targetValue <= newValue && this.status === 'active') {
+  // Check if goal is completed (goals can count down, e.g. losing weight)
+  const decreasing = this.startValue !== undefined && this.targetValue < this.startValue;
+  const reached = decreasing ? newValue <= this.targetValue : newValue >= this.targetValue;
+
+  if (reached && this.status === 'active') {
     this.status = 'completed';
     this.completedDate = new Date();
   }
@@ -136,6 +141,7 @@ GoalSchema.methods.updateProgress = function(newValue, notes = '') {
 
 // Indexes
 GoalSchema.index({ userId: 1, status: 1 });
+GoalSchema.index({ userId: 1, metric: 1, status: 1 });
 GoalSchema.index({ deadline: 1 });
 
 module.exports = mongoose.model('Goal', GoalSchema);
\ No newline at end of file
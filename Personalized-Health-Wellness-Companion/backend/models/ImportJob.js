@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const ImportJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  source: {
+    type: String,
+    enum: ['apple_health', 'google_fit', 'fitbit'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  // Uploaded files (deleted once the job finishes)
+  files: [{
+    _id: false,
+    name: String,
+    size: Number // in bytes
+  }],
+  filePaths: {
+    type: [String],
+    select: false
+  },
+  fileSize: Number, // total, in bytes
+
+  // Importer settings
+  timeZone: String,
+  options: mongoose.Schema.Types.Mixed,
+
+  // Progress
+  bytesProcessed: {
+    type: Number,
+    default: 0
+  },
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  stats: {
+    scanned: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 }
+  },
+  byType: mongoose.Schema.Types.Mixed,
+  warnings: [String], // sample of skipped-record reasons
+
+  // Set while pending or processing; a partial unique index allows one per user
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  startedAt: Date,
+  completedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+ImportJobSchema.index({ userId: 1, createdAt: -1 });
+ImportJobSchema.index({ userId: 1, active: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+module.exports = mongoose.model('ImportJob', ImportJobSchema);
\ No newline at end of file
@@ -21,6 +21,8 @@ const NotificationSchema = new mongoose.Schema({
       'community_comment',
       'expert_booking_confirmed',
       'expert_booking_reminder',
+      'data_export_ready',
+      'health_alert',
       'system_announcement'
     ],
     required: true
@@ -38,7 +40,7 @@ const NotificationSchema = new mongoose.Schema({
   relatedId: mongoose.Schema.Types.ObjectId,
   relatedModel: {
     type: String,
-    enum: ['WorkoutPlan', 'MealPlan', 'Goal', 'Badge', 'CommunityPost', 'ExpertProfile']
+    enum: ['WorkoutPlan', 'MealPlan', 'Goal', 'Badge', 'CommunityPost', 'ExpertProfile', 'DataExport', 'BiometricData']
   },
   
   // Action
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Pending authorization-code request, consumed by the callback
+const OidcAuthRequestSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+
+  // PKCE verifier and replay nonce - never leave the server
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+OidcAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcAuthRequest', OidcAuthRequestSchema);
\ No newline at end of file
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    index: true
+  },
+  // SHA-256 of the token handed to the client; the raw value is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Revocation / rotation
+  revokedAt: Date,
+  replacedByHash: String,
+
+  // Client details
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Virtual for whether the token can still be exchanged
+RefreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Hash a raw refresh token for lookup
+RefreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Expiry date for a newly issued refresh token
+RefreshTokenSchema.statics.getExpiryDate = function() {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Create a new refresh token and return the raw value
+RefreshTokenSchema.statics.generate = async function(userId, meta = {}) {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  await this.create({
+    userId,
+    sessionId: meta.sessionId,
+    tokenHash: this.hashToken(token),
+    expiresAt: meta.expiresAt || this.getExpiryDate(),
+    createdByIp: meta.ip,
+    userAgent: meta.userAgent
+  });
+
+  return token;
+};
+
+// Revoke every outstanding refresh token for a user
+RefreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+};
+
+// Revoke every outstanding refresh token for a session
+RefreshTokenSchema.statics.revokeAllForSession = function(sessionId) {
+  return this.updateMany(
+    { sessionId, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+};
+
+// Indexes
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
\ No newline at end of file
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Device details captured at login
+  userAgent: String,
+  deviceInfo: {
+    platform: String,
+    browser: String,
+    ipAddress: String
+  },
+
+  // Activity
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Revocation
+  revokedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the session can still be used
+SessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Update last-seen time (at most once a minute to avoid a write per request)
+SessionSchema.methods.touch = function() {
+  const now = new Date();
+  if (this.lastSeenAt && now - this.lastSeenAt < 60 * 1000) {
+    return Promise.resolve(this);
+  }
+  this.lastSeenAt = now;
+  return this.save();
+};
+
+// Static method to get a user's active sessions
+SessionSchema.statics.getActiveForUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Indexes
+SessionSchema.index({ userId: 1, lastSeenAt: -1 });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
\ No newline at end of file
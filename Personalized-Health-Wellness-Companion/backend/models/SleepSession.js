@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { getAsleepMinutes, calculateSleepScore } = require('../utils/sleep');
+
+const MAX_TIME_IN_BED_HOURS = 18;
+
+const SleepSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  bedtime: {
+    type: Date,
+    required: [true, 'Please add your bedtime']
+  },
+  wakeTime: {
+    type: Date,
+    required: [true, 'Please add your wake time']
+  },
+
+  // Minutes it took to fall asleep
+  sleepLatency: {
+    type: Number,
+    min: 0,
+    max: 240,
+    default: 0
+  },
+  awakenings: {
+    type: Number,
+    min: 0,
+    max: 50,
+    default: 0
+  },
+
+  // Minutes in each stage, when a tracker provides them
+  stages: {
+    light: { type: Number, min: 0 },
+    deep: { type: Number, min: 0 },
+    rem: { type: Number, min: 0 },
+    awake: { type: Number, min: 0 }
+  },
+
+  // How rested the user felt (1-5)
+  quality: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'fitbit', 'google_fit', 'apple_health', 'api'],
+    default: 'manual'
+  },
+
+  // Computed from the fields above
+  asleepMinutes: Number,
+  score: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  scoreBreakdown: {
+    duration: Number,
+    efficiency: Number,
+    continuity: Number,
+    stages: Number
+  },
+
+  // sleep_duration reading kept in step with this session
+  biometricEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BiometricData'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for minutes between bedtime and wake time
+SleepSessionSchema.virtual('timeInBedMinutes').get(function() {
+  if (!this.bedtime || !this.wakeTime) return null;
+  return Math.round((this.wakeTime - this.bedtime) / 60000);
+});
+
+// Virtual for the share of time in bed spent asleep (%)
+SleepSessionSchema.virtual('efficiency').get(function() {
+  if (!this.timeInBedMinutes || this.asleepMinutes === undefined) return null;
+  return Math.round(this.asleepMinutes / this.timeInBedMinutes * 100);
+});
+
+SleepSessionSchema.pre('validate', function(next) {
+  if (!this.bedtime || !this.wakeTime) return next();
+
+  const timeInBed = this.timeInBedMinutes;
+  if (timeInBed <= 0) {
+    this.invalidate('wakeTime', 'Wake time must be after bedtime');
+    return next();
+  }
+  if (timeInBed > MAX_TIME_IN_BED_HOURS * 60) {
+    this.invalidate('wakeTime', `A sleep session cannot be longer than ${MAX_TIME_IN_BED_HOURS} hours`);
+    return next();
+  }
+
+  const { light = 0, deep = 0, rem = 0, awake = 0 } = this.stages || {};
+  if (light + deep + rem + awake > timeInBed + 5) {
+    this.invalidate('stages', 'Sleep stages add up to more than the time in bed');
+    return next();
+  }
+
+  this.asleepMinutes = getAsleepMinutes({
+    timeInBedMinutes: timeInBed,
+    sleepLatency: this.sleepLatency,
+    stages: this.stages
+  });
+  next();
+});
+
+// Method to (re)calculate the sleep score against a target
+SleepSessionSchema.methods.applyScore = function(targetHours) {
+  const { score, breakdown } = calculateSleepScore({
+    asleepMinutes: this.asleepMinutes,
+    timeInBedMinutes: this.timeInBedMinutes,
+    awakenings: this.awakenings,
+    stages: this.stages
+  }, targetHours);
+
+  this.score = score;
+  this.scoreBreakdown = {
+    ...breakdown,
+    stages: breakdown.stages ?? undefined
+  };
+  return this;
+};
+
+// Static method to check for an overlapping session
+SleepSessionSchema.statics.findOverlapping = function(userId, { bedtime, wakeTime }, excludeId) {
+  const query = {
+    userId,
+    bedtime: { $lt: wakeTime },
+    wakeTime: { $gt: bedtime }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  return this.findOne(query);
+};
+
+// Indexes
+SleepSessionSchema.index({ userId: 1, wakeTime: -1 });
+
+module.exports = mongoose.model('SleepSession', SleepSessionSchema);
\ No newline at end of file
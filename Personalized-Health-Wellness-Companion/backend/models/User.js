@@ -2,6 +2,11 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
+// Accounts created through social login fill in physical attributes later
+function requiredForCompleteProfile() {
+  return this.profileCompleted !== false;
+}
+
 const UserSchema = new mongoose.Schema({
   // Basic Information
   name: {
@@ -22,7 +27,7 @@ const UserSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Please add a password'],
+    required: [function() { return !this.identities?.length; }, 'Please add a password'],
     minlength: 6,
     select: false
   },
@@ -31,28 +36,50 @@ const UserSchema = new mongoose.Schema({
     enum: ['user', 'expert', 'admin'],
     default: 'user'
   },
+
+  // External (OIDC) identities linked to this account
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  profileCompleted: {
+    type: Boolean,
+    default: true
+  },
   
   // Physical Attributes
   age: {
     type: Number,
-    required: [true, 'Please add your age'],
+    required: [requiredForCompleteProfile, 'Please add your age'],
     min: [13, 'You must be at least 13 years old'],
     max: [120, 'Please enter a valid age']
   },
   gender: {
     type: String,
-    required: [true, 'Please specify your gender'],
+    required: [requiredForCompleteProfile, 'Please specify your gender'],
     enum: ['male', 'female', 'other']
   },
   height: {
     type: Number,
-    required: [true, 'Please add your height in cm'],
+    required: [requiredForCompleteProfile, 'Please add your height in cm'],
     min: [50, 'Please enter a valid height'],
     max: [300, 'Please enter a valid height']
   },
   weight: {
     type: Number,
-    required: [true, 'Please add your weight in kg'],
+    required: [requiredForCompleteProfile, 'Please add your weight in kg'],
     min: [20, 'Please enter a valid weight'],
     max: [500, 'Please enter a valid weight']
   },
@@ -99,6 +126,32 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: 'UTC'
   },
+  unitSystem: {
+    type: String,
+    enum: ['metric', 'imperial'],
+    default: 'metric'
+  },
+
+  // Measured max heart rate; when unset it is predicted from age
+  maxHeartRate: {
+    type: Number,
+    min: [100, 'Max heart rate must be at least 100 bpm'],
+    max: [230, 'Max heart rate cannot exceed 230 bpm']
+  },
+
+  // Nightly sleep target, used for the sleep score and sleep debt
+  sleepGoalHours: {
+    type: Number,
+    min: [4, 'Sleep goal must be at least 4 hours'],
+    max: [12, 'Sleep goal cannot be more than 12 hours'],
+    default: 8
+  },
+  // Learned from recent sleep sessions (minutes after local midnight)
+  sleepSchedule: {
+    typicalBedtime: Number,
+    typicalWakeTime: Number,
+    lastReminderAt: Date
+  },
   
   // Notification Preferences
   notifications: {
@@ -143,9 +196,49 @@ const UserSchema = new mongoose.Schema({
     default: 'active'
   },
   
+  // Scheduled account deletion (cancelled by logging in)
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  
+  // Login protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  lastFailedLoginAt: Date,
+  
+  // Session revocation - bumped to invalidate every issued access token
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  
+  // Two-Factor Authentication (TOTP)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  },
+  
   // Password Reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+
+  // Passwordless Login
+  magicLinkToken: String,
+  magicLinkExpire: Date,
   
   // Email Verification
   isEmailVerified: {
@@ -163,34 +256,49 @@ const UserSchema = new mongoose.Schema({
 
 // Virtual for BMI
 UserSchema.virtual('bmi').get(function() {
+  if (!this.height || !this.weight) return undefined;
   const heightInMeters = this.height / 100;
   return (this.weight / (heightInMeters * heightInMeters)).toFixed(1);
 });
 
+// Virtual for temporary lockout
+UserSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
 // Encrypt password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// Sign short-lived access JWT (bound to a login session) and return
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign({ id: this._id, tv: this.tokenVersion, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+  });
+};
+
+// Sign short-lived challenge token for the second login step
+UserSchema.methods.getTwoFactorChallengeToken = function() {
+  return jwt.sign({ id: this._id, purpose: '2fa_challenge' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
   });
 };
 
 // Match user entered password to hashed password in database
 UserSchema.methods.matchPassword = async function(enteredPassword) {
+  // Social-login accounts may not have a password yet
+  if (!this.password) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
 // Generate password reset token
-UserSchema.methods.getResetPasswordToken = function() {
+UserSchema.methods.getResetPasswordToken = function(expireMinutes = 10) {
   const resetToken = require('crypto').randomBytes(20).toString('hex');
   
   this.resetPasswordToken = require('crypto')
@@ -198,13 +306,46 @@ UserSchema.methods.getResetPasswordToken = function() {
     .update(resetToken)
     .digest('hex');
   
-  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
+  this.resetPasswordExpire = Date.now() + expireMinutes * 60 * 1000;
   
   return resetToken;
 };
 
+// Generate and hash a single-use magic sign-in token
+UserSchema.methods.getMagicLinkToken = function(expireMinutes = 15) {
+  const magicToken = require('crypto').randomBytes(32).toString('hex');
+
+  this.magicLinkToken = require('crypto')
+    .createHash('sha256')
+    .update(magicToken)
+    .digest('hex');
+
+  this.magicLinkExpire = Date.now() + expireMinutes * 60 * 1000;
+
+  return magicToken;
+};
+
+// Generate email verification token
+UserSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = require('crypto').randomBytes(20).toString('hex');
+  
+  this.emailVerificationToken = require('crypto')
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+  
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  
+  return verificationToken;
+};
+
 // Create indexes
 UserSchema.index({ email: 1 });
 UserSchema.index({ createdAt: -1 });
+UserSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+UserSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
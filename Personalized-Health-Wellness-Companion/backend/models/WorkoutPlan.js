@@ -17,7 +17,18 @@ const ExerciseSchema = new mongoose.Schema({
   },
   muscleGroups: [String],
   equipment: [String],
-  caloriesBurned: Number
+  caloriesBurned: Number,
+  // Cardio intensity, in the user's own bpm range for the zone
+  targetHeartRateZone: {
+    zone: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    label: String,
+    min: Number,
+    max: Number
+  }
 });
 
 const DayPlanSchema = new mongoose.Schema({
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const {
+  importActivityFile,
+  getActivities,
+  getActivity,
+  deleteActivity
+} = require('../controllers/activityController');
+const { protect, requireScope } = require('../middleware/auth');
+const { validate, validationSchemas } = require('../middleware/validator');
+
+// Configure multer for GPX/TCX files (kept in memory, parsed straight away)
+const activityUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 25 * 1024 * 1024 // 25MB max file size
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(gpx|tcx)$/i.test(file.originalname) || /\/(xml|gpx\+xml|vnd\.garmin\.tcx\+xml)$/.test(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only GPX and TCX files are allowed'), false);
+    }
+  }
+});
+
+// All routes are protected
+router.use(protect);
+router.use(requireScope('biometrics'));
+
+// Activity routes
+router.post('/import', activityUpload.single('file'), validate(validationSchemas.activityImport), importActivityFile);
+router.get('/', getActivities);
+router.get('/:id', getActivity);
+router.delete('/:id', deleteActivity);
+
+module.exports = router;
\ No newline at end of file
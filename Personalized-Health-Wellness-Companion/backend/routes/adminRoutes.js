@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  getUserById,
+  updateUserRole,
+  updateUserStatus,
+  forcePasswordReset,
+  unlockUser,
+  getAuditLogs
+} = require('../controllers/adminController');
+const { protect, authorize, denyApiKey } = require('../middleware/auth');
+const { validate, validationSchemas } = require('../middleware/validator');
+
+// All routes are admin only
+router.use(protect);
+router.use(denyApiKey);
+router.use(authorize('admin'));
+
+// User management
+router.get('/users', getUsers);
+router.get('/users/:id', getUserById);
+router.put('/users/:id/role', validate(validationSchemas.adminUpdateRole), updateUserRole);
+router.put('/users/:id/status', validate(validationSchemas.adminUpdateStatus), updateUserStatus);
+router.post('/users/:id/force-password-reset', forcePasswordReset);
+router.put('/users/:id/unlock', unlockUser);
+
+// Audit trail
+router.get('/audit-logs', getAuditLogs);
+
+module.exports = router;
\ No newline at end of file
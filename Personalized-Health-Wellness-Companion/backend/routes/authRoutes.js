@@ -6,22 +6,66 @@ const {
   getMe,
   forgotPassword,
   resetPassword,
+  requestMagicLink,
+  consumeMagicLink,
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  completeProfile,
   updatePassword,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  verifyEmail,
+  resendVerification,
+  refreshAccessToken,
+  getSessions,
+  deleteSession,
   logout
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const { protect, requireScope, denyApiKey } = require('../middleware/auth');
 const { validate, validationSchemas } = require('../middleware/validator');
-const { authLimiter } = require('../middleware/rateLimiter');
+const { authLimiter, magicLinkLimiter } = require('../middleware/rateLimiter');
 
 // Public routes
 router.post('/register', authLimiter, validate(validationSchemas.register), register);
 router.post('/login', authLimiter, validate(validationSchemas.login), login);
+router.post('/login/2fa', authLimiter, validate(validationSchemas.twoFactorLogin), verifyTwoFactorLogin);
 router.post('/forgot-password', authLimiter, forgotPassword);
 router.put('/reset-password/:resetToken', authLimiter, resetPassword);
+router.post('/magic-link', magicLinkLimiter, validate(validationSchemas.magicLink), requestMagicLink);
+router.post('/magic-link/:token', authLimiter, consumeMagicLink);
+router.get('/verify-email/:token', verifyEmail);
+router.get('/oidc/providers', getOidcProviders);
+router.get('/oidc/:provider', authLimiter, startOidcLogin);
+router.post('/oidc/:provider/callback', authLimiter, validate(validationSchemas.oidcCallback), oidcCallback);
+router.post('/refresh', authLimiter, validate(validationSchemas.refreshToken), refreshAccessToken);
 
 // Protected routes
-router.get('/me', protect, getMe);
-router.put('/update-password', protect, updatePassword);
-router.post('/logout', protect, logout);
+router.get('/me', protect, requireScope('profile'), getMe);
+router.put('/update-password', protect, denyApiKey, updatePassword);
+router.put('/complete-profile', protect, denyApiKey, validate(validationSchemas.completeProfile), completeProfile);
+router.post('/resend-verification', protect, denyApiKey, authLimiter, resendVerification);
+router.post('/logout', protect, denyApiKey, logout);
+
+// Device sessions
+router.get('/sessions', protect, denyApiKey, getSessions);
+router.delete('/sessions/:id', protect, denyApiKey, deleteSession);
+
+// Two-factor authentication
+router.post('/2fa/setup', protect, denyApiKey, setupTwoFactor);
+router.post('/2fa/enable', protect, denyApiKey, validate(validationSchemas.twoFactorCode), enableTwoFactor);
+router.post('/2fa/disable', protect, denyApiKey, authLimiter, validate(validationSchemas.twoFactorDisable), disableTwoFactor);
+
+// Personal API keys
+router.get('/api-keys', protect, denyApiKey, getApiKeys);
+router.post('/api-keys', protect, denyApiKey, validate(validationSchemas.apiKey), createApiKey);
+router.delete('/api-keys/:id', protect, denyApiKey, revokeApiKey);
 
 module.exports = router;
\ No newline at end of file
@@ -1,25 +1,111 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const {
   logBiometricData,
+  importBiometricCSV,
+  importAppleHealth,
+  importGoogleFit,
+  importFitbit,
+  getImportJobs,
+  getImportJob,
+  exportFhirBundle,
   getBiometricByType,
+  getBiometricSeriesByType,
+  getCorrelations,
+  getHeartRateZones,
+  getRestingHeartRate,
+  getHeartRateTimeInZones,
   getBiometricSummary,
   updateBiometricData,
+  getPendingAnomalies,
+  reviewAnomaly,
   deleteBiometricData,
   getProgressDashboard
 } = require('../controllers/biometricController');
-const { protect } = require('../middleware/auth');
+const {
+  createCustomMetric,
+  getCustomMetrics,
+  updateCustomMetric,
+  deleteCustomMetric
+} = require('../controllers/customMetricController');
+const { protect, requireScope } = require('../middleware/auth');
 const { validate, validationSchemas } = require('../middleware/validator');
 
+// Configure multer for CSV imports (kept in memory, parsed straight away)
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB max file size
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.mimetype === 'application/vnd.ms-excel' || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+});
+
+// Configure multer for health app exports (can be hundreds of MB, streamed from disk)
+const exportUpload = multer({
+  dest: 'uploads/imports/',
+  limits: {
+    fileSize: (parseInt(process.env.HEALTH_IMPORT_MAX_MB) || 1024) * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\/xml$/.test(file.mimetype) || file.originalname.toLowerCase().endsWith('.xml')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only XML files are allowed'), false);
+    }
+  }
+});
+
+// Configure multer for JSON takeout files (one file per data source / day)
+const jsonUpload = multer({
+  dest: 'uploads/imports/',
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB per file
+    files: 2000
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/json' || file.originalname.toLowerCase().endsWith('.json')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JSON files are allowed'), false);
+    }
+  }
+});
+
 // All routes are protected
 router.use(protect);
+router.use(requireScope('biometrics'));
 
 // Biometric data routes
 router.post('/', validate(validationSchemas.biometricData), logBiometricData);
+router.post('/import/csv', csvUpload.single('file'), importBiometricCSV);
+router.post('/import/apple-health', exportUpload.single('file'), importAppleHealth);
+router.post('/import/google-fit', jsonUpload.array('files'), importGoogleFit);
+router.post('/import/fitbit', jsonUpload.array('files'), importFitbit);
+router.get('/import/jobs', getImportJobs);
+router.get('/import/jobs/:id', getImportJob);
+router.get('/export/fhir', exportFhirBundle);
 router.get('/summary', getBiometricSummary);
 router.get('/progress/dashboard', getProgressDashboard);
+router.get('/anomalies', getPendingAnomalies);
+router.get('/metrics', getCustomMetrics);
+router.post('/metrics', validate(validationSchemas.customMetric), createCustomMetric);
+router.put('/metrics/:id', validate(validationSchemas.customMetricUpdate), updateCustomMetric);
+router.delete('/metrics/:id', deleteCustomMetric);
+router.get('/insights/correlations', getCorrelations);
+router.get('/heart-rate/zones', getHeartRateZones);
+router.get('/heart-rate/resting-trend', getRestingHeartRate);
+router.get('/heart-rate/time-in-zones', getHeartRateTimeInZones);
 router.get('/:type', getBiometricByType);
+router.get('/:type/series', getBiometricSeriesByType);
 router.put('/:id', updateBiometricData);
+router.put('/:id/review', validate(validationSchemas.anomalyReview), reviewAnomaly);
 router.delete('/:id', deleteBiometricData);
 
 module.exports = router;
\ No newline at end of file
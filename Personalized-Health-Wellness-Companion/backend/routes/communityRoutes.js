@@ -10,7 +10,7 @@ const {
   deletePost,
   getUserPosts
 } = require('../controllers/communityController');
-const { protect } = require('../middleware/auth');
+const { protect, requireVerifiedEmail, requireScope } = require('../middleware/auth');
 
 // Configure multer for multiple image uploads
 const upload = multer({
@@ -30,13 +30,14 @@ const upload = multer({
 
 // All routes are protected
 router.use(protect);
+router.use(requireScope('community'));
 
 // Community post routes
-router.post('/posts', upload.array('images', 5), createPost);
+router.post('/posts', requireVerifiedEmail, upload.array('images', 5), createPost);
 router.get('/feed', getFeed);
 router.get('/posts/:id', getPostById);
 router.put('/posts/:id/like', toggleLike);
-router.post('/posts/:id/comments', addComment);
+router.post('/posts/:id/comments', requireVerifiedEmail, addComment);
 router.delete('/posts/:id', deletePost);
 router.get('/posts/user/:userId', getUserPosts);
 
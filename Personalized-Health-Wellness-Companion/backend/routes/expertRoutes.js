@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const ExpertProfile = require('../models/ExpertProfile');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requireVerifiedEmail, requireScope } = require('../middleware/auth');
 
 // All routes are protected
 router.use(protect);
+router.use(requireScope('experts'));
 
 /**
  * @desc    Create expert profile
@@ -99,9 +100,9 @@ router.get('/:id', async (req, res, next) => {
 /**
  * @desc    Book session with expert
  * @route   POST /api/experts/:id/book
- * @access  Private
+ * @access  Private (Verified email)
  */
-router.post('/:id/book', async (req, res, next) => {
+router.post('/:id/book', requireVerifiedEmail, async (req, res, next) => {
   try {
     const { date, startTime, endTime, sessionType, notes } = req.body;
 
@@ -158,9 +159,9 @@ router.post('/:id/book', async (req, res, next) => {
 /**
  * @desc    Add review for expert
  * @route   POST /api/experts/:id/review
- * @access  Private
+ * @access  Private (Verified email)
  */
-router.post('/:id/review', async (req, res, next) => {
+router.post('/:id/review', requireVerifiedEmail, async (req, res, next) => {
   try {
     const { rating, comment } = req.body;
 
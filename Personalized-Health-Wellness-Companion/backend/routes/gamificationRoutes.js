@@ -10,10 +10,11 @@ const {
   getAchievements,
   getPointsHistory
 } = require('../controllers/gamificationController');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
 
 // All routes are protected
 router.use(protect);
+router.use(requireScope('gamification'));
 
 // Badge routes
 router.get('/badges', getAllBadges);
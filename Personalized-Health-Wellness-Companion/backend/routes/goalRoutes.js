@@ -9,11 +9,12 @@ const {
   deleteGoal,
   getGoalStats
 } = require('../controllers/goalController');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
 const { validate, validationSchemas } = require('../middleware/validator');
 
 // All routes are protected
 router.use(protect);
+router.use(requireScope('goals'));
 
 // Goal routes
 router.post('/', validate(validationSchemas.goal), createGoal);
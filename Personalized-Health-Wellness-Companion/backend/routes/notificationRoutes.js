@@ -7,10 +7,11 @@ const {
   deleteNotificationById,
   deleteAllReadNotifications
 } = require('../controllers/notificationController');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
 
 // All routes are protected
 router.use(protect);
+router.use(requireScope('notifications'));
 
 // IMPORTANT: More specific routes MUST come before parameterized routes
 router.get('/', getNotifications);
@@ -15,11 +15,13 @@ const {
   getMindfulnessExercises,
   provideFeedback
 } = require('../controllers/recommendationController');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope, requireCompleteProfile } = require('../middleware/auth');
 const { aiLimiter } = require('../middleware/rateLimiter');
 
 // All routes are protected
 router.use(protect);
+router.use(requireScope('recommendations'));
+router.use(requireCompleteProfile);
 
 // Workout routes
 router.post('/workouts/generate', aiLimiter, generateWorkout);
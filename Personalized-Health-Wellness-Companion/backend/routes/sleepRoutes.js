@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  logSleepSession,
+  getSleepSessions,
+  getSleepStats,
+  getSleepSession,
+  updateSleepSession,
+  deleteSleepSession
+} = require('../controllers/sleepController');
+const { protect, requireScope } = require('../middleware/auth');
+const { validate, validationSchemas } = require('../middleware/validator');
+
+// All routes are protected
+router.use(protect);
+router.use(requireScope('biometrics'));
+
+// Sleep session routes
+router.post('/', validate(validationSchemas.sleepSession), logSleepSession);
+router.get('/', getSleepSessions);
+router.get('/stats', getSleepStats);
+router.get('/:id', getSleepSession);
+router.put('/:id', validate(validationSchemas.sleepSessionUpdate), updateSleepSession);
+router.delete('/:id', deleteSleepSession);
+
+module.exports = router;
\ No newline at end of file
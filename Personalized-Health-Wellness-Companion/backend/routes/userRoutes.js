@@ -7,9 +7,12 @@ const {
   updateNotificationPreferences,
   getUserProfile,
   getDashboardStats,
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
   deleteAccount
 } = require('../controllers/userController');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope, denyApiKey } = require('../middleware/auth');
 const { validate, validationSchemas } = require('../middleware/validator');
 
 // Configure multer for file uploads
@@ -27,8 +30,12 @@ const upload = multer({
   }
 });
 
-// All routes are protected
+// Data export download (authorised by the signed link, not a JWT)
+router.get('/export/:id/download', downloadDataExport);
+
+// All other routes are protected
 router.use(protect);
+router.use(requireScope('profile'));
 
 // Profile routes
 router.put('/profile', validate(validationSchemas.updateProfile), updateProfile);
@@ -37,7 +44,11 @@ router.put('/notifications', updateNotificationPreferences);
 router.get('/dashboard/stats', getDashboardStats);
 router.get('/:id', getUserProfile);
 
+// Personal data export (the archive spans every scope, so API keys are refused)
+router.post('/export', denyApiKey, requestDataExport);
+router.get('/export/:id', denyApiKey, getDataExport);
+
 // Account deletion
-router.delete('/account', deleteAccount);
+router.delete('/account', denyApiKey, deleteAccount);
 
 module.exports = router;
\ No newline at end of file
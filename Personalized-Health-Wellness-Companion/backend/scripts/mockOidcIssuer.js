@@ -0,0 +1,113 @@
+/**
+ * Minimal local OIDC issuer for exercising social login in development.
+ *
+ *   npm run mock:oidc
+ *
+ * Then configure the backend with:
+ *   OIDC_PROVIDERS=mock
+ *   OIDC_MOCK_ISSUER=http://localhost:4011
+ *   OIDC_MOCK_CLIENT_ID=health-wellness
+ *
+ * The authorize endpoint signs in immediately as the user described by
+ * MOCK_OIDC_SUB / MOCK_OIDC_EMAIL / MOCK_OIDC_NAME / MOCK_OIDC_EMAIL_VERIFIED,
+ * or by `login_hint` (email) on the authorization URL.
+ */
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4011;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_MOCK_CLIENT_ID || 'health-wellness';
+const KEY_ID = 'mock-key-1';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+  if (client_id !== CLIENT_ID || !redirect_uri || code_challenge_method !== 'S256' || !code_challenge) {
+    return res.status(400).json({ error: 'invalid_request' });
+  }
+
+  const email = login_hint || process.env.MOCK_OIDC_EMAIL || 'mock.user@example.com';
+  const code = crypto.randomBytes(16).toString('hex');
+
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    claims: {
+      sub: process.env.MOCK_OIDC_SUB || crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+      email,
+      email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false',
+      name: process.env.MOCK_OIDC_NAME || 'Mock User'
+    }
+  });
+
+  const location = new URL(redirect_uri);
+  location.searchParams.set('code', code);
+  location.searchParams.set('state', state);
+  res.redirect(location.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+  const pending = codes.get(code);
+  codes.delete(code);
+
+  const challenge = code_verifier &&
+    crypto.createHash('sha256').update(code_verifier).digest('base64url');
+
+  if (
+    grant_type !== 'authorization_code' ||
+    !pending ||
+    client_id !== CLIENT_ID ||
+    redirect_uri !== pending.redirectUri ||
+    challenge !== pending.codeChallenge
+  ) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const idToken = jwt.sign({ ...pending.claims, nonce: pending.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock OIDC issuer running at ${ISSUER}`);
+});
\ No newline at end of file
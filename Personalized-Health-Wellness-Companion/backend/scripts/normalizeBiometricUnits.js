@@ -0,0 +1,70 @@
+/**
+ * Convert stored biometric entries to the canonical unit for their type.
+ *
+ *   npm run migrate:units            # apply
+ *   npm run migrate:units -- --dry   # report only
+ *
+ * Entries whose unit can't be converted are listed and left untouched.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const BiometricData = require('../models/BiometricData');
+const { CANONICAL_UNITS, toCanonicalUnit } = require('../utils/units');
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry');
+  await connectDB();
+
+  let converted = 0;
+  const unknown = {};
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length > 0 && !dryRun) {
+      await BiometricData.bulkWrite(ops, { ordered: false, timestamps: false });
+    }
+    ops = [];
+  };
+
+  for (const [type, canonical] of Object.entries(CANONICAL_UNITS)) {
+    const cursor = BiometricData.find({ type, unit: { $ne: canonical } })
+      .select('type value unit')
+      .lean()
+      .cursor();
+
+    for await (const entry of cursor) {
+      const result = toCanonicalUnit(entry.type, entry.value, entry.unit);
+      if (!result) {
+        const key = `${entry.type} (${entry.unit})`;
+        unknown[key] = (unknown[key] || 0) + 1;
+        continue;
+      }
+
+      ops.push({
+        updateOne: {
+          filter: { _id: entry._id },
+          update: { $set: { value: result.value, unit: result.unit } }
+        }
+      });
+      converted++;
+
+      if (ops.length >= BATCH_SIZE) await flush();
+    }
+  }
+  await flush();
+
+  console.log(`${dryRun ? 'Would convert' : 'Converted'} ${converted} entries`);
+  for (const [key, count] of Object.entries(unknown)) {
+    console.log(`⚠️  ${count} entries with an unsupported unit: ${key}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
\ No newline at end of file
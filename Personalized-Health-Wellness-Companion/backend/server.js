@@ -52,12 +52,15 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/users', require('./routes/userRoutes'));
 app.use('/api/biometrics', require('./routes/biometricRoutes'));
+app.use('/api/sleep', require('./routes/sleepRoutes'));
+app.use('/api/activities', require('./routes/activityRoutes'));
 app.use('/api/recommendations', require('./routes/recommendationRoutes'));
 app.use('/api/goals', require('./routes/goalRoutes'));
 app.use('/api/gamification', require('./routes/gamificationRoutes'));
 app.use('/api/community', require('./routes/communityRoutes'));
 app.use('/api/notifications', require('./routes/notificationRoutes'));
 app.use('/api/experts', require('./routes/expertRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
 
 // 404 handler
 app.use((req, res) => {
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const User = require('../models/User');
+const BiometricData = require('../models/BiometricData');
+const CustomMetric = require('../models/CustomMetric');
+const SleepSession = require('../models/SleepSession');
+const Activity = require('../models/Activity');
+const Goal = require('../models/Goal');
+const WorkoutPlan = require('../models/WorkoutPlan');
+const MealPlan = require('../models/MealPlan');
+const ActivityLog = require('../models/ActivityLog');
+const Notification = require('../models/Notification');
+const CommunityPost = require('../models/CommunityPost');
+const ExpertProfile = require('../models/ExpertProfile');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const DataExport = require('../models/DataExport');
+const ImportJob = require('../models/ImportJob');
+const { deleteFromCloudinary } = require('../config/cloudinary');
+const { revokeAllSessions } = require('./tokenService');
+const sendEmail = require('../utils/sendEmail');
+const logger = require('../utils/logger');
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+/**
+ * Schedule an account for deletion after the grace period
+ */
+const scheduleAccountDeletion = async (user) => {
+  try {
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    await user.save({ validateBeforeSave: false });
+
+    // Sign the user out everywhere; logging in again cancels the deletion
+    await revokeAllSessions(user._id);
+
+    await sendEmail({
+      email: user.email,
+      subject: 'Your account is scheduled for deletion',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Account Deletion Scheduled</h1>
+          </div>
+          <div style="padding: 30px; background: #f8f9fa;">
+            <h2 style="color: #333;">Hi ${user.name},</h2>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              Your account and all of your health data will be permanently deleted on
+              <strong>${user.deletionScheduledFor.toUTCString()}</strong>.
+            </p>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              Changed your mind? Simply log in before then and the deletion will be cancelled.
+            </p>
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}/login" 
+                 style="background: #667eea; color: white; padding: 12px 30px; 
+                        text-decoration: none; border-radius: 5px; display: inline-block;">
+                Keep My Account
+              </a>
+            </div>
+          </div>
+        </div>
+      `
+    });
+
+    logger.info(`🗓️ Scheduled deletion of user ${user._id} for ${user.deletionScheduledFor.toISOString()}`);
+    return user.deletionScheduledFor;
+  } catch (error) {
+    logger.error('Schedule account deletion error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a scheduled deletion (the caller saves the user)
+ */
+const cancelAccountDeletion = (user) => {
+  if (!user.deletionScheduledFor) return false;
+
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+
+  logger.info(`↩️ Cancelled scheduled deletion of user ${user._id}`);
+  return true;
+};
+
+/**
+ * Remove community content that belongs to or references the user
+ */
+const purgeCommunityData = async (userId) => {
+  // Own posts, including their images
+  const posts = await CommunityPost.find({ userId }).select('images');
+  for (const post of posts) {
+    for (const image of post.images) {
+      if (image.publicId) {
+        await deleteFromCloudinary(image.publicId);
+      }
+    }
+  }
+  await CommunityPost.deleteMany({ userId });
+
+  // Likes and comments on other people's posts
+  await CommunityPost.updateMany({ likes: userId }, { $pull: { likes: userId } });
+  await CommunityPost.updateMany({ 'comments.userId': userId }, { $pull: { comments: { userId } } });
+  await CommunityPost.updateMany(
+    { 'comments.likes': userId },
+    { $pull: { 'comments.$[].likes': userId } }
+  );
+};
+
+/**
+ * Remove expert data that belongs to or references the user
+ */
+const purgeExpertData = async (userId) => {
+  // The user's own expert profile
+  await ExpertProfile.deleteOne({ userId });
+
+  // Bookings made with other experts
+  await ExpertProfile.updateMany({ 'bookings.userId': userId }, { $pull: { bookings: { userId } } });
+
+  // Reviews left for other experts - ratings must be recalculated
+  const reviewed = await ExpertProfile.find({ 'reviews.userId': userId });
+  for (const expert of reviewed) {
+    expert.reviews = expert.reviews.filter(review => review.userId.toString() !== userId.toString());
+    await expert.calculateAverageRating();
+  }
+};
+
+/**
+ * Permanently delete a user and every related record
+ */
+const purgeUserAccount = async (userId) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) return false;
+
+    // Stored images
+    if (user.profilePicture?.publicId) {
+      await deleteFromCloudinary(user.profilePicture.publicId);
+    }
+
+    // Personal records
+    await BiometricData.deleteMany({ userId });
+    await CustomMetric.deleteMany({ userId });
+    await SleepSession.deleteMany({ userId });
+    await Activity.deleteMany({ userId });
+    await Goal.deleteMany({ userId });
+    await WorkoutPlan.deleteMany({ userId });
+    await MealPlan.deleteMany({ userId });
+    await ActivityLog.deleteMany({ userId });
+    await Notification.deleteMany({ userId });
+
+    // Auth records
+    await RefreshToken.deleteMany({ userId });
+    await Session.deleteMany({ userId });
+    await ApiKey.deleteMany({ userId });
+
+    // Export archives on disk
+    const exports = await DataExport.find({ userId }).select('+filePath');
+    for (const job of exports) {
+      if (job.filePath) {
+        await fs.promises.rm(job.filePath, { force: true });
+      }
+    }
+    await DataExport.deleteMany({ userId });
+
+    // Health app imports and any uploads they left behind
+    const imports = await ImportJob.find({ userId }).select('+filePaths');
+    for (const job of imports) {
+      for (const filePath of job.filePaths || []) {
+        await fs.promises.rm(filePath, { force: true });
+      }
+    }
+    await ImportJob.deleteMany({ userId });
+
+    await purgeCommunityData(userId);
+    await purgeExpertData(userId);
+
+    // Admin audit entries are immutable and only reference the id, so they are kept
+    await user.deleteOne();
+
+    logger.info(`🗑️ Permanently deleted user ${userId} and related data`);
+    return true;
+  } catch (error) {
+    logger.error('Purge user account error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Purge every account whose grace period has ended
+ */
+const processScheduledDeletions = async () => {
+  try {
+    const due = await User.find({
+      deletionScheduledFor: { $lte: new Date() }
+    }).select('_id');
+
+    let deleted = 0;
+    for (const user of due) {
+      try {
+        if (await purgeUserAccount(user._id)) deleted++;
+      } catch (error) {
+        // Keep going; the account is retried on the next run
+        logger.error(`Scheduled deletion failed for user ${user._id}:`, error);
+      }
+    }
+
+    return deleted;
+  } catch (error) {
+    logger.error('Process scheduled deletions error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeUserAccount,
+  processScheduledDeletions
+};
\ No newline at end of file
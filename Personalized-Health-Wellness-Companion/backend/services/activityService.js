@@ -0,0 +1,175 @@
+const Activity = require('../models/Activity');
+const ActivityLog = require('../models/ActivityLog');
+const BiometricData = require('../models/BiometricData');
+const { awardPoints, checkAndAwardBadges } = require('./gamificationService');
+const { updateWorkoutStreak } = require('./streakService');
+const { getHeartRateProfile } = require('./heartRateService');
+const { syncMetricGoals } = require('./goalService');
+const { summarizeTrack } = require('../utils/gpsTrack');
+const { HR_ZONES, classifyHeartRate } = require('../utils/heartRate');
+const logger = require('../utils/logger');
+
+const ACTIVITY_POINTS = 15;
+
+// Heart rate samples further apart than this don't count as continuous
+const MAX_HR_SAMPLE_GAP_SECONDS = 60;
+
+const SPORT_NOUNS = {
+  running: 'run',
+  cycling: 'ride',
+  walking: 'walk',
+  hiking: 'hike',
+  swimming: 'swim',
+  other: 'workout'
+};
+
+/**
+ * Minutes spent in each of the user's heart rate zones during a track
+ */
+const calculateMinutesInZones = (points, zones) => {
+  const samples = points
+    .filter(point => point.time instanceof Date && Number.isFinite(point.heartRate) && point.heartRate > 0)
+    .sort((a, b) => a.time - b.time);
+
+  const seconds = new Array(HR_ZONES.length + 1).fill(0);
+  for (let i = 0; i < samples.length - 1; i++) {
+    const gap = (samples[i + 1].time - samples[i].time) / 1000;
+    seconds[classifyHeartRate(samples[i].heartRate, zones)] += Math.min(gap, MAX_HR_SAMPLE_GAP_SECONDS);
+  }
+
+  return Object.fromEntries(HR_ZONES.map(({ zone }) => [`zone${zone}`, Math.round(seconds[zone] / 60)]));
+};
+
+/**
+ * Describe an activity for activity logs, e.g. "5.2 km run"
+ */
+const describeActivity = (activity) => {
+  const noun = SPORT_NOUNS[activity.sport] || SPORT_NOUNS.other;
+  return activity.distanceMeters > 0
+    ? `${(activity.distanceMeters / 1000).toFixed(1)} km ${noun}`
+    : `${Math.round(activity.elapsedSeconds / 60)} min ${noun}`;
+};
+
+/**
+ * Build an (unsaved) activity from a parsed GPX/TCX file.
+ * Returns null when the file has no usable timed track.
+ */
+const buildActivity = async (user, parsed, { sport, name, notes } = {}) => {
+  try {
+    const resolvedSport = sport || parsed.sport;
+    const summary = summarizeTrack(parsed.points, { sport: resolvedSport });
+    if (!summary) return null;
+
+    const activity = new Activity({
+      userId: user._id,
+      name: name || parsed.name,
+      sport: resolvedSport,
+      source: parsed.format,
+      notes,
+      calories: parsed.calories,
+      ...summary,
+      heartRate: undefined
+    });
+
+    if (summary.heartRate) {
+      const { zones } = await getHeartRateProfile(user);
+      activity.heartRate = {
+        ...summary.heartRate,
+        minutesInZone: calculateMinutesInZones(parsed.points, zones)
+      };
+    }
+
+    if (!activity.name) {
+      const noun = SPORT_NOUNS[activity.sport];
+      activity.name = `${noun.charAt(0).toUpperCase()}${noun.slice(1)}`;
+    }
+
+    return activity;
+  } catch (error) {
+    logger.error('Build activity error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save an imported activity and credit it like any other workout: an
+ * exercise_duration reading, a workout_completed log on the day it
+ * happened (for streaks and badges), points and goal progress
+ */
+const recordActivity = async (user, activity) => {
+  try {
+    await activity.save();
+
+    const minutes = Math.round((activity.movingSeconds || activity.elapsedSeconds) / 60);
+    if (minutes > 0) {
+      const entry = await BiometricData.create({
+        userId: user._id,
+        type: 'exercise_duration',
+        value: minutes,
+        unit: 'minutes',
+        date: activity.startTime,
+        notes: activity.name,
+        source: 'activity_import'
+      });
+      activity.biometricEntryId = entry._id;
+      await activity.save();
+    }
+
+    await ActivityLog.create({
+      userId: user._id,
+      activityType: 'workout_completed',
+      description: `Completed a ${describeActivity(activity)}`,
+      relatedId: activity._id,
+      relatedModel: 'Activity',
+      metadata: {
+        sport: activity.sport,
+        source: activity.source,
+        distanceMeters: activity.distanceMeters,
+        movingSeconds: activity.movingSeconds
+      },
+      pointsEarned: ACTIVITY_POINTS,
+      // Dated by the activity, so older imports don't count as today's
+      // workout. createdAt stays the import time for the log's TTL.
+      occurredAt: activity.startTime
+    });
+
+    await awardPoints(user._id, ACTIVITY_POINTS, `Completed a ${describeActivity(activity)}`);
+    await updateWorkoutStreak(user._id);
+    await syncMetricGoals(user._id, 'exercise_duration');
+    await checkAndAwardBadges(user._id);
+
+    logger.info(`🏃 Imported ${activity.source} ${activity.sport} activity for user ${user._id}`);
+    return activity;
+  } catch (error) {
+    logger.error('Record activity error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an activity with its exercise reading and workout log
+ */
+const removeActivity = async (user, activity) => {
+  try {
+    if (activity.biometricEntryId) {
+      await BiometricData.deleteOne({ _id: activity.biometricEntryId });
+    }
+    await ActivityLog.deleteMany({
+      userId: user._id,
+      activityType: 'workout_completed',
+      relatedId: activity._id
+    });
+    await activity.deleteOne();
+
+    await syncMetricGoals(user._id, 'exercise_duration');
+  } catch (error) {
+    logger.error('Remove activity error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  buildActivity,
+  recordActivity,
+  removeActivity
+};
\ No newline at end of file
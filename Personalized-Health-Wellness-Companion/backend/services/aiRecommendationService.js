@@ -2,9 +2,43 @@ const { generateAIResponse } = require('../config/gemini');
 const User = require('../models/User');
 const BiometricData = require('../models/BiometricData');
 const Goal = require('../models/Goal');
+const { getHeartRateProfile, getRestingHeartRateTrend } = require('./heartRateService');
 const { parseAIPlan, calculateDailyCalories } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
+// Hardest heart rate zone prescribed for cardio at each fitness level
+const MAX_CARDIO_ZONE = {
+  beginner: 3,
+  intermediate: 4,
+  advanced: 5
+};
+
+/**
+ * Highest zone to prescribe: capped by fitness level, and kept easy
+ * while the resting heart rate is elevated
+ */
+const getCardioZoneLimit = (user, restingTrend) => {
+  if (restingTrend.trend === 'rising') return 2;
+  return MAX_CARDIO_ZONE[user.fitnessLevel] || MAX_CARDIO_ZONE.beginner;
+};
+
+/**
+ * Replace the zone bpm ranges on planned exercises with the user's own,
+ * clamping any zone above the limit
+ */
+const applyHeartRateZones = (days, zones, maxZone) => {
+  days.forEach(day => (day.exercises || []).forEach(exercise => {
+    const requested = parseInt(exercise.targetHeartRateZone?.zone);
+    if (!requested) {
+      delete exercise.targetHeartRateZone;
+      return;
+    }
+
+    const { zone, label, min, max } = zones[Math.min(Math.max(requested, 1), maxZone) - 1];
+    exercise.targetHeartRateZone = { zone, label, min, max };
+  }));
+};
+
 /**
  * Generate Personalized Workout Plan
  */
@@ -17,6 +51,11 @@ const generateWorkoutPlan = async (userId, duration = 7) => {
     // Get recent biometric data
     const recentWeight = await BiometricData.getLatestByType(userId, 'weight');
     const recentHeartRate = await BiometricData.getLatestByType(userId, 'heart_rate');
+
+    // Heart rate zones drive cardio intensity
+    const heartRate = await getHeartRateProfile(user);
+    const restingTrend = await getRestingHeartRateTrend(user);
+    const maxZone = getCardioZoneLimit(user, restingTrend);
     
     // Get active fitness goals
     const fitnessGoals = await Goal.find({ 
@@ -38,6 +77,11 @@ User Profile:
 - Activity Level: ${user.activityLevel}
 - Health Goals: ${user.healthGoals.join(', ')}
 - Recent Heart Rate: ${recentHeartRate?.value || 'N/A'}bpm
+- Resting Heart Rate: ${heartRate.restingHeartRate || 'N/A'}bpm (${restingTrend.trend.replace('_', ' ')})
+- Max Heart Rate: ${heartRate.maxHeartRate}bpm
+
+Heart Rate Zones:
+${heartRate.zones.map(z => `- Zone ${z.zone} (${z.label}): ${z.min}-${z.max}bpm`).join('\n')}
 
 Specific Goals: ${fitnessGoals.map(g => g.title).join(', ')}
 
@@ -48,6 +92,8 @@ Requirements:
 4. Include rest days
 5. Consider user's fitness level
 6. Estimate calories burned per workout
+7. Set the intensity of every cardio exercise with "targetHeartRateZone" (zone 1-${maxZone} only)
+8. Spend most cardio time in zone 2 and use higher zones for short intervals${restingTrend.trend === 'rising' ? '\n9. Resting heart rate is elevated, so keep this plan easy' : ''}
 
 Return ONLY valid JSON in this exact format:
 {
@@ -71,6 +117,16 @@ Return ONLY valid JSON in this exact format:
           "muscleGroups": ["chest", "triceps"],
           "equipment": ["none"],
           "caloriesBurned": 30
+        },
+        {
+          "name": "Steady Jog",
+          "duration": 20,
+          "instructions": "Conversational pace",
+          "difficulty": "easy",
+          "muscleGroups": ["legs", "cardio"],
+          "equipment": ["none"],
+          "caloriesBurned": 200,
+          "targetHeartRateZone": { "zone": 2 }
         }
       ],
       "totalDuration": 45,
@@ -90,6 +146,8 @@ Return ONLY valid JSON in this exact format:
       throw new Error('Invalid workout plan format from AI');
     }
 
+    applyHeartRateZones(workoutPlan.days, heartRate.zones, maxZone);
+
     logger.info(`✅ Generated workout plan for user ${userId}`);
     
     return {
@@ -114,6 +172,7 @@ Return ONLY valid JSON in this exact format:
  */
 const generateRuleBasedWorkoutPlan = async (userId, duration = 7) => {
   const user = await User.findById(userId);
+  const { zones } = await getHeartRateProfile(user);
   
   const beginnerWorkouts = [
     {
@@ -130,7 +189,8 @@ const generateRuleBasedWorkoutPlan = async (userId, duration = 7) => {
           difficulty: "easy",
           muscleGroups: ["legs", "cardio"],
           equipment: ["none"],
-          caloriesBurned: 150
+          caloriesBurned: 150,
+          targetHeartRateZone: { zone: 2 }
         },
         {
           name: "Wall Push-ups",
@@ -158,6 +218,8 @@ const generateRuleBasedWorkoutPlan = async (userId, duration = 7) => {
     }
   ];
 
+  applyHeartRateZones(beginnerWorkouts, zones, MAX_CARDIO_ZONE.beginner);
+
   return {
     title: `${duration}-Day Beginner Workout Plan`,
     description: 'A gentle introduction to fitness',
@@ -0,0 +1,160 @@
+const BiometricData = require('../models/BiometricData');
+const logger = require('../utils/logger');
+
+// Plausible range for a reading, in canonical units
+const PHYSIOLOGICAL_BOUNDS = {
+  weight: { min: 20, max: 350 },
+  heart_rate: { min: 25, max: 230 },
+  sleep_duration: { min: 0, max: 20 },
+  steps: { min: 0, max: 100000 },
+  calories_consumed: { min: 0, max: 15000 },
+  calories_burned: { min: 0, max: 15000 },
+  water_intake: { min: 0, max: 10000 },
+  body_fat: { min: 2, max: 75 },
+  muscle_mass: { min: 10, max: 150 },
+  exercise_duration: { min: 0, max: 1440 }
+};
+
+// Body measurements that should stay close to the user's own baseline,
+// with the smallest spread assumed so a run of identical readings
+// doesn't flag every small change. Activity totals (steps, calories...)
+// swing too much day to day to be checked this way.
+const MIN_BASELINE_SPREAD = {
+  weight: 0.5,
+  heart_rate: 5,
+  body_fat: 1,
+  muscle_mass: 0.5
+};
+
+// With too little history for a baseline, body composition is checked
+// against the previous reading instead: the change may not exceed `min`,
+// or `perDay` for each day since that reading, whichever is larger
+const MAX_CHANGE = {
+  weight: { min: 3, perDay: 0.5 },
+  body_fat: { min: 3, perDay: 0.25 }
+};
+
+const BASELINE_WINDOW_DAYS = 90;
+const BASELINE_SIZE = 30;
+const MIN_BASELINE_READINGS = 5;
+const MODIFIED_Z_THRESHOLD = 3.5;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Median and median absolute deviation of the user's recent counted
+ * readings before `date`. Returns null when there's too little history.
+ */
+const getBaseline = async (userId, type, date, excludeId) => {
+  const since = new Date(date.getTime() - BASELINE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const query = BiometricData.countedOnly({
+    userId,
+    type,
+    date: { $gte: since, $lte: date }
+  });
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const recent = await BiometricData.find(query)
+    .sort({ date: -1 })
+    .limit(BASELINE_SIZE)
+    .select('value')
+    .lean();
+
+  if (recent.length < MIN_BASELINE_READINGS) return null;
+
+  const values = recent.map(entry => entry.value);
+  const center = median(values);
+  const mad = median(values.map(value => Math.abs(value - center)));
+
+  return {
+    median: center,
+    spread: Math.max(mad, MIN_BASELINE_SPREAD[type]),
+    count: values.length
+  };
+};
+
+/**
+ * Whether a reading changed faster than plausible since the user's
+ * previous counted reading of the type
+ */
+const isSuddenChange = async (userId, type, value, date, excludeId) => {
+  const query = BiometricData.countedOnly({ userId, type, date: { $lte: date } });
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const previous = await BiometricData.findOne(query)
+    .sort({ date: -1 })
+    .select('value date')
+    .lean();
+  if (!previous) return false;
+
+  const { min, perDay } = MAX_CHANGE[type];
+  const days = (date - previous.date) / (24 * 60 * 60 * 1000);
+
+  return Math.abs(value - previous.value) > Math.max(min, perDay * days);
+};
+
+/**
+ * Check a canonical reading against physiological bounds and the user's
+ * baseline. Returns `{ reasons, baseline }` for an outlier, otherwise null.
+ */
+const detectAnomaly = async (userId, { type, value, date = new Date() }, { excludeId } = {}) => {
+  try {
+    const reasons = [];
+    const bounds = PHYSIOLOGICAL_BOUNDS[type];
+
+    if (bounds && (value < bounds.min || value > bounds.max)) {
+      reasons.push('outside_physiological_range');
+    }
+
+    let baseline;
+    if (MIN_BASELINE_SPREAD[type]) {
+      baseline = await getBaseline(userId, type, new Date(date), excludeId);
+
+      // Iglewicz-Hoaglin modified z-score
+      if (baseline && Math.abs(0.6745 * (value - baseline.median) / baseline.spread) > MODIFIED_Z_THRESHOLD) {
+        reasons.push('deviates_from_baseline');
+      }
+    }
+
+    if (!baseline && MAX_CHANGE[type] &&
+        await isSuddenChange(userId, type, value, new Date(date), excludeId)) {
+      reasons.push('sudden_change');
+    }
+
+    return reasons.length > 0 ? { reasons, baseline } : null;
+  } catch (error) {
+    logger.error('Detect anomaly error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Run detection for a reading and set (or clear) its pending anomaly flag.
+ * The caller saves the entry.
+ */
+const flagIfAnomalous = async (entry) => {
+  const anomaly = await detectAnomaly(entry.userId, entry, { excludeId: entry._id });
+
+  if (anomaly) {
+    entry.anomaly = {
+      status: 'pending',
+      reasons: anomaly.reasons,
+      baseline: anomaly.baseline,
+      flaggedAt: new Date()
+    };
+  } else if (entry.anomaly?.status) {
+    entry.anomaly = undefined;
+  }
+
+  return anomaly;
+};
+
+module.exports = {
+  PHYSIOLOGICAL_BOUNDS,
+  detectAnomaly,
+  flagIfAnomalous
+};
\ No newline at end of file
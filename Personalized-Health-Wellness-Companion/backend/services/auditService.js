@@ -0,0 +1,62 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+/**
+ * Record an admin action in the audit trail
+ */
+const recordAdminAction = async (req, { action, targetUserId, changes, reason }) => {
+  try {
+    const entry = await AuditLog.create({
+      actorId: req.user._id,
+      action,
+      targetUserId,
+      changes,
+      reason,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`📝 Admin ${req.user._id} performed ${action} on user ${targetUserId}`);
+    return entry;
+  } catch (error) {
+    logger.error('Record admin action error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get audit trail entries
+ */
+const getAuditTrail = async (filters = {}, options = {}) => {
+  try {
+    const { limit = 50, skip = 0 } = options;
+
+    const query = {};
+    if (filters.actorId) query.actorId = filters.actorId;
+    if (filters.targetUserId) query.targetUserId = filters.targetUserId;
+    if (filters.action) query.action = filters.action;
+
+    const entries = await AuditLog.find(query)
+      .populate('actorId', 'name email')
+      .populate('targetUserId', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await AuditLog.countDocuments(query);
+
+    return {
+      entries,
+      total,
+      hasMore: total > skip + limit
+    };
+  } catch (error) {
+    logger.error('Get audit trail error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  recordAdminAction,
+  getAuditTrail
+};
\ No newline at end of file
@@ -0,0 +1,488 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const BiometricData = require('../models/BiometricData');
+const User = require('../models/User');
+const ActivityLog = require('../models/ActivityLog');
+const ImportJob = require('../models/ImportJob');
+const IMPORTERS = require('./importers');
+const { checkAndAwardBadges } = require('./gamificationService');
+const { validationSchemas } = require('../middleware/validator');
+const { parseCSV } = require('../utils/csv');
+const { createHttpError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.BIOMETRIC_IMPORT_MAX_ROWS) || 10000;
+const MAX_REPORTED_ERRORS = 100;
+const IMPORT_BATCH_SIZE = 1000;
+const MAX_JOB_WARNINGS = 20;
+const PROGRESS_INTERVAL_MS = 2000;
+const STALE_IMPORT_MINUTES = parseInt(process.env.IMPORT_STALE_MINUTES) || 30;
+
+// Fields a CSV column can be mapped to
+const CSV_FIELDS = ['type', 'value', 'unit', 'date', 'notes', 'systolic', 'diastolic'];
+const REQUIRED_CSV_FIELDS = ['type', 'value', 'unit'];
+
+/**
+ * Work out which column index holds each field.
+ * `mapping` maps field -> column header; unmapped fields match a header of the same name.
+ */
+const resolveColumns = (header, mapping = {}) => {
+  const normalizedHeader = header.map(column => column.trim().toLowerCase());
+  const columns = {};
+
+  for (const field of CSV_FIELDS) {
+    const columnName = String(mapping[field] || field).trim().toLowerCase();
+    const index = normalizedHeader.indexOf(columnName);
+    if (index !== -1) columns[field] = index;
+  }
+
+  return columns;
+};
+
+/**
+ * Validate a candidate entry against the biometricData schema
+ */
+const validateRecord = (candidate) => {
+  const { error, value } = validationSchemas.biometricData.validate(candidate, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  return error
+    ? { errors: error.details.map(detail => detail.message) }
+    : { record: value };
+};
+
+/**
+ * Parse and validate a CSV upload.
+ * Returns the valid records with their row numbers plus per-row errors
+ * (row numbers include the header).
+ */
+const parseCsvImport = (text, mapping = {}) => {
+  const rows = parseCSV(text);
+
+  if (rows.length < 2) {
+    throw createHttpError('CSV file must have a header row and at least one data row');
+  }
+
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    throw createHttpError(`CSV file has too many rows (maximum ${MAX_IMPORT_ROWS})`);
+  }
+
+  const columns = resolveColumns(rows[0], mapping);
+  const missing = REQUIRED_CSV_FIELDS.filter(field => columns[field] === undefined);
+
+  if (missing.length > 0) {
+    throw createHttpError(`CSV file is missing required column(s): ${missing.join(', ')}`);
+  }
+
+  const records = [];
+  const rowNumbers = [];
+  const errors = [];
+
+  rows.slice(1).forEach((cells, index) => {
+    const rowNumber = index + 2;
+    const raw = {};
+
+    for (const [field, columnIndex] of Object.entries(columns)) {
+      const value = (cells[columnIndex] || '').trim();
+      if (value !== '') raw[field] = value;
+    }
+
+    const candidate = {
+      type: raw.type && raw.type.toLowerCase(),
+      value: raw.value,
+      unit: raw.unit,
+      date: raw.date,
+      notes: raw.notes
+    };
+
+    if (raw.systolic || raw.diastolic) {
+      candidate.additionalData = { systolic: raw.systolic, diastolic: raw.diastolic };
+    }
+
+    Object.keys(candidate).forEach(key => candidate[key] === undefined && delete candidate[key]);
+
+    const { record, errors: rowErrors } = validateRecord(candidate);
+
+    if (rowErrors) {
+      errors.push({ row: rowNumber, errors: rowErrors });
+    } else {
+      records.push(record);
+      rowNumbers.push(rowNumber);
+    }
+  });
+
+  return {
+    totalRows: rows.length - 1,
+    records,
+    rowNumbers,
+    errors
+  };
+};
+
+/**
+ * Run parsed rows through the model's own validation, which checks what
+ * the Joi schema can't: custom metrics must exist and be active, and
+ * units and ranges must match. Failing rows join the per-row errors.
+ */
+const validateImportRows = async (userId, { records, rowNumbers, errors }, { source }) => {
+  const valid = [];
+  const rowErrors = [...errors];
+
+  for (const [index, record] of records.entries()) {
+    const entry = new BiometricData({ ...record, userId, source });
+
+    try {
+      await entry.validate();
+      valid.push(record);
+    } catch (error) {
+      const messages = error.errors
+        ? Object.values(error.errors).map(detail => detail.message)
+        : [error.message];
+      rowErrors.push({ row: rowNumbers[index], errors: messages });
+    }
+  }
+
+  rowErrors.sort((a, b) => a.row - b.row);
+
+  return { records: valid, errors: rowErrors };
+};
+
+/**
+ * After an import: sync the profile weight, log one activity entry
+ * and check badges. Imports never award per-entry points.
+ */
+const finishImport = async (userId, { source, imported, byType }) => {
+  // Keep the profile weight in line with the newest reading
+  if (byType.weight) {
+    const latestWeight = await BiometricData.getLatestByType(userId, 'weight');
+    if (latestWeight) {
+      await User.findByIdAndUpdate(userId, { weight: latestWeight.value });
+    }
+  }
+
+  await ActivityLog.create({
+    userId,
+    activityType: 'biometric_logged',
+    description: `Imported ${imported} biometric entries`,
+    metadata: { source, byType },
+    pointsEarned: 0
+  });
+
+  await checkAndAwardBadges(userId);
+
+  logger.info(`📥 Imported ${imported} biometric entries for user ${userId} (${source})`);
+};
+
+/**
+ * Bulk insert validated records for a user
+ */
+const importBiometricRecords = async (userId, records, { source }) => {
+  try {
+    if (records.length === 0) {
+      return { imported: 0, byType: {} };
+    }
+
+    const inserted = await BiometricData.insertMany(
+      records.map(record => ({ ...record, userId, source })),
+      // Rows are validated up front; anything still rejected must not vanish silently
+      { ordered: false, throwOnValidationError: true }
+    );
+
+    const byType = inserted.reduce((counts, entry) => {
+      counts[entry.type] = (counts[entry.type] || 0) + 1;
+      return counts;
+    }, {});
+
+    await finishImport(userId, { source, imported: inserted.length, byType });
+
+    return { imported: inserted.length, byType };
+  } catch (error) {
+    logger.error('Import biometric records error:', error);
+    throw error;
+  }
+};
+
+const sampleKey = ({ type, date, value }) => `${type}|${new Date(date).getTime()}|${value}`;
+
+/**
+ * Write one batch of imported records.
+ *
+ * - Point-in-time samples are skipped when an entry with the same type,
+ *   time and value already exists from any source, and are keyed by a
+ *   hash of those fields so re-imports are no-ops.
+ * - Records with their own externalId (e.g. daily totals) are upserted,
+ *   updating the value when a newer export has a different total.
+ */
+const ingestBatch = async (userId, source, batch, stats, byType) => {
+  const samples = batch.filter(record => !record.externalId);
+  const existingKeys = new Set();
+
+  if (samples.length > 0) {
+    const existing = await BiometricData.find({
+      userId,
+      type: { $in: [...new Set(samples.map(record => record.type))] },
+      date: { $in: samples.map(record => record.date) }
+    }).select('type date value').lean();
+
+    existing.forEach(entry => existingKeys.add(sampleKey(entry)));
+  }
+
+  const now = new Date();
+  const ops = [];
+  const opTypes = [];
+  let written = 0;
+
+  for (const record of batch) {
+    const { externalId, ...fields } = record;
+
+    if (!externalId) {
+      const key = sampleKey(record);
+      if (existingKeys.has(key)) {
+        stats.duplicates++;
+        continue;
+      }
+      existingKeys.add(key);
+
+      ops.push({
+        updateOne: {
+          filter: { userId, externalId: crypto.createHash('sha1').update(`${source}|${key}`).digest('hex') },
+          update: { $setOnInsert: { ...fields, userId, source, createdAt: now, updatedAt: now } },
+          upsert: true,
+          timestamps: false
+        }
+      });
+      opTypes.push(record.type);
+    } else {
+      // Update in place if the value changed, otherwise insert if missing
+      ops.push({
+        updateOne: {
+          filter: { userId, externalId, value: { $ne: fields.value } },
+          update: { $set: { ...fields, updatedAt: now } },
+          timestamps: false
+        }
+      });
+      opTypes.push(null);
+      ops.push({
+        updateOne: {
+          filter: { userId, externalId },
+          update: { $setOnInsert: { ...fields, userId, source, createdAt: now, updatedAt: now } },
+          upsert: true,
+          timestamps: false
+        }
+      });
+      opTypes.push(record.type);
+    }
+
+    written++;
+  }
+
+  if (ops.length === 0) return;
+
+  const result = await BiometricData.bulkWrite(ops, { ordered: false });
+
+  Object.keys(result.upsertedIds || {}).forEach(index => {
+    const type = opTypes[index];
+    byType[type] = (byType[type] || 0) + 1;
+  });
+
+  stats.imported += result.upsertedCount;
+  stats.updated += result.modifiedCount;
+  stats.duplicates += written - result.upsertedCount - result.modifiedCount;
+};
+
+/**
+ * Run an import job: stream records from the uploaded file,
+ * write them in batches and record progress as we go
+ */
+const processImportJob = async (jobId) => {
+  const job = await ImportJob.findById(jobId).select('+filePaths');
+  if (!job) return;
+
+  const stats = { scanned: 0, imported: 0, updated: 0, duplicates: 0, skipped: 0 };
+  const byType = {};
+  const warnings = new Set();
+  let bytesProcessed = 0;
+  let lastProgressAt = 0;
+
+  const saveProgress = async () => {
+    lastProgressAt = Date.now();
+    await ImportJob.updateOne({ _id: job._id }, {
+      bytesProcessed,
+      progress: job.fileSize ? Math.min(99, Math.floor((bytesProcessed / job.fileSize) * 100)) : 0,
+      stats,
+      byType,
+      warnings: [...warnings]
+    });
+  };
+
+  const skip = (reason) => {
+    stats.skipped++;
+    if (warnings.size < MAX_JOB_WARNINGS) warnings.add(reason);
+  };
+
+  try {
+    job.status = 'processing';
+    job.startedAt = new Date();
+    await job.save();
+
+    const readRecords = IMPORTERS[job.source];
+    const files = job.files.map((file, index) => ({
+      name: file.name,
+      size: file.size,
+      path: job.filePaths[index]
+    }));
+    let batch = [];
+
+    const records = readRecords(files, {
+      timeZone: job.timeZone,
+      options: job.options || {},
+      onProgress: bytes => { bytesProcessed = bytes; }
+    });
+
+    for await (const item of records) {
+      stats.scanned++;
+
+      if (item.skipped) {
+        skip(item.skipped);
+        continue;
+      }
+
+      const { externalId, ...candidate } = item;
+      const { record, errors } = validateRecord(candidate);
+
+      if (errors) {
+        skip(errors.join(', '));
+        continue;
+      }
+
+      batch.push(externalId ? { ...record, externalId } : record);
+
+      if (batch.length >= IMPORT_BATCH_SIZE) {
+        await ingestBatch(job.userId, job.source, batch, stats, byType);
+        batch = [];
+      }
+
+      // Regular progress writes also keep the job from looking stale
+      if (Date.now() - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+        await saveProgress();
+      }
+    }
+
+    if (batch.length > 0) {
+      await ingestBatch(job.userId, job.source, batch, stats, byType);
+    }
+
+    if (stats.imported + stats.updated > 0) {
+      await finishImport(job.userId, { source: job.source, imported: stats.imported, byType });
+    }
+
+    job.status = 'completed';
+    job.active = undefined;
+    job.bytesProcessed = job.fileSize;
+    job.progress = 100;
+    job.stats = stats;
+    job.byType = byType;
+    job.warnings = [...warnings];
+    job.completedAt = new Date();
+    await job.save();
+  } catch (error) {
+    logger.error('Process import job error:', error);
+    job.status = 'failed';
+    job.active = undefined;
+    job.error = error.message;
+    job.stats = stats;
+    job.byType = byType;
+    await job.save();
+  } finally {
+    removeUploads(job.filePaths);
+  }
+};
+
+const removeUploads = (paths) => {
+  paths.forEach(filePath => fs.promises.unlink(filePath).catch(() => {}));
+};
+
+/**
+ * Fail import jobs that stopped making progress. Jobs run in-process, so
+ * a restart mid-job would otherwise block the user's imports forever.
+ */
+const failStaleImports = async (query = {}) => {
+  try {
+    const cutoff = new Date(Date.now() - STALE_IMPORT_MINUTES * 60 * 1000);
+    const stale = await ImportJob.find({
+      ...query,
+      status: { $in: ['pending', 'processing'] },
+      updatedAt: { $lt: cutoff }
+    }).select('+filePaths');
+
+    for (const job of stale) {
+      removeUploads(job.filePaths || []);
+      job.status = 'failed';
+      job.active = undefined;
+      job.error = 'The import was interrupted. Please upload the file again.';
+      await job.save();
+    }
+
+    return stale.length;
+  } catch (error) {
+    logger.error('Fail stale imports error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create an import job for uploaded files and process it in the background
+ */
+const startImportJob = async (userId, { source, files, timeZone, options = {} }) => {
+  try {
+    if (!IMPORTERS[source]) {
+      removeUploads(files.map(file => file.path));
+      throw createHttpError(`No importer for source '${source}'`);
+    }
+
+    // One import at a time per user, claimed through the unique index on
+    // active jobs. Jobs interrupted by a restart are failed first.
+    await failStaleImports({ userId });
+
+    let job;
+    try {
+      job = await ImportJob.create({
+        userId,
+        source,
+        files: files.map(file => ({ name: file.originalname, size: file.size })),
+        filePaths: files.map(file => file.path),
+        fileSize: files.reduce((total, file) => total + file.size, 0),
+        timeZone,
+        options
+      });
+    } catch (error) {
+      removeUploads(files.map(file => file.path));
+      if (error.code === 11000) {
+        throw createHttpError('Another import is already in progress. Please wait for it to finish.', 409);
+      }
+      throw error;
+    }
+
+    setImmediate(() => {
+      processImportJob(job._id).catch(error => {
+        logger.error('Background import error:', error);
+      });
+    });
+
+    return job;
+  } catch (error) {
+    logger.error('Start import job error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  MAX_REPORTED_ERRORS,
+  parseCsvImport,
+  validateImportRows,
+  importBiometricRecords,
+  startImportJob,
+  failStaleImports
+};
\ No newline at end of file
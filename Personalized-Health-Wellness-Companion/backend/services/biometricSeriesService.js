@@ -0,0 +1,155 @@
+const BiometricData = require('../models/BiometricData');
+const { resolveTimeZone, getBucketStarts } = require('../utils/timezone');
+const { createHttpError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const SERIES_BUCKETS = ['day', 'week', 'month'];
+const SERIES_AGGREGATIONS = ['sum', 'avg', 'min', 'max', 'last'];
+const MAX_SERIES_POINTS = 400;
+
+// How far back a series goes when no `from` is given
+const DEFAULT_SPAN_DAYS = {
+  day: 30,
+  week: 7 * 26,
+  month: 365
+};
+
+/**
+ * Mongo accumulator for an aggregation over a field.
+ * `last` relies on the pipeline sorting by date first.
+ */
+const accumulator = (agg, field) => ({ [`$${agg}`]: field });
+
+/**
+ * Fill buckets with no readings
+ */
+const fillGaps = (points, fill) => {
+  const withValues = (point, source) => ({
+    ...point,
+    value: source.value,
+    ...('diastolic' in point && { diastolic: source.diastolic })
+  });
+
+  let previous = null;
+
+  return points.map(point => {
+    if (point.value !== null) {
+      previous = point;
+      return point;
+    }
+    if (fill === 'zero') return withValues(point, { value: 0, diastolic: 0 });
+    if (fill === 'previous' && previous) return withValues(point, previous);
+    return point;
+  });
+};
+
+/**
+ * Trailing moving average over `window` buckets, ignoring empty buckets
+ */
+const addMovingAverage = (points, window) => {
+  return points.map((point, index) => {
+    const values = points
+      .slice(Math.max(0, index - window + 1), index + 1)
+      .map(p => p.value)
+      .filter(value => value !== null);
+
+    return {
+      ...point,
+      movingAverage: values.length > 0
+        ? values.reduce((a, b) => a + b, 0) / values.length
+        : null
+    };
+  });
+};
+
+/**
+ * Bucketed time series for one biometric type, in canonical units.
+ * Buckets start at local midnight in the user's time zone; held and
+ * outlier readings are left out.
+ */
+const getBiometricSeries = async (userId, type, {
+  bucket = 'day',
+  agg = 'avg',
+  from,
+  to = new Date(),
+  timeZone,
+  fill,
+  movingAverage
+}) => {
+  try {
+    const zone = resolveTimeZone(timeZone);
+    const start = from || new Date(to.getTime() - DEFAULT_SPAN_DAYS[bucket] * 24 * 60 * 60 * 1000);
+    const bucketStarts = getBucketStarts(start, to, bucket, zone);
+
+    if (bucketStarts.length > MAX_SERIES_POINTS) {
+      throw createHttpError(`Range is too long for ${bucket} buckets (maximum ${MAX_SERIES_POINTS} points)`);
+    }
+
+    const rangeStart = bucketStarts[0] || start;
+    const isBloodPressure = type === 'blood_pressure';
+
+    const groups = await BiometricData.aggregate([
+      {
+        $match: BiometricData.countedOnly({
+          userId,
+          type,
+          date: { $gte: rangeStart, $lte: to }
+        })
+      },
+      { $sort: { date: 1 } },
+      {
+        $group: {
+          _id: {
+            $dateTrunc: {
+              date: '$date',
+              unit: bucket,
+              timezone: zone,
+              startOfWeek: 'monday'
+            }
+          },
+          value: accumulator(agg, '$value'),
+          ...(isBloodPressure && { diastolic: accumulator(agg, '$additionalData.diastolic') }),
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const byStart = new Map(groups.map(group => [group._id.getTime(), group]));
+
+    let points = bucketStarts.map(bucketStart => {
+      const group = byStart.get(bucketStart.getTime());
+      return {
+        start: bucketStart,
+        value: group ? group.value : null,
+        ...(isBloodPressure && { diastolic: group ? group.diastolic : null }),
+        count: group ? group.count : 0
+      };
+    });
+
+    // An empty bucket sums to zero; other aggregations have no value
+    points = fillGaps(points, fill || (agg === 'sum' ? 'zero' : 'none'));
+
+    if (movingAverage) {
+      points = addMovingAverage(points, movingAverage);
+    }
+
+    return {
+      bucket,
+      agg,
+      timeZone: zone,
+      from: rangeStart,
+      to,
+      points
+    };
+  } catch (error) {
+    logger.error('Get biometric series error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  SERIES_BUCKETS,
+  SERIES_AGGREGATIONS,
+  getBiometricSeries
+};
\ No newline at end of file
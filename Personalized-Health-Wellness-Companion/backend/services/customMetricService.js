@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const BiometricData = require('../models/BiometricData');
+const CustomMetric = require('../models/CustomMetric');
+const { BUILT_IN_TYPES, BUILT_IN_AGGREGATION, isCustomType } = require('../utils/biometricTypes');
+const { CANONICAL_UNITS } = require('../utils/units');
+const logger = require('../utils/logger');
+
+/**
+ * Describe a biometric type for a user: built-in types and the user's
+ * custom metrics share one shape. Returns null for unknown types.
+ */
+const getMetricDefinition = async (userId, type) => {
+  try {
+    if (BUILT_IN_TYPES.includes(type)) {
+      return {
+        key: type,
+        builtIn: true,
+        unit: CANONICAL_UNITS[type] || null,
+        aggregation: BUILT_IN_AGGREGATION[type]
+      };
+    }
+
+    if (!isCustomType(type)) return null;
+
+    const metric = await CustomMetric.findOne({ userId, key: type });
+    if (!metric) return null;
+
+    return {
+      key: metric.key,
+      builtIn: false,
+      name: metric.name,
+      unit: metric.unit,
+      aggregation: metric.aggregation,
+      minValue: metric.minValue,
+      maxValue: metric.maxValue,
+      archived: Boolean(metric.archivedAt)
+    };
+  } catch (error) {
+    logger.error('Get metric definition error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Roll up a user's counted readings of a type since a date using
+ * the metric's aggregation rule. Returns null when there are none.
+ */
+const aggregateMetric = async (userId, { key, aggregation }, { since } = {}) => {
+  try {
+    // Aggregation pipelines are not cast, so string ids would match nothing
+    const match = BiometricData.countedOnly({
+      userId: new mongoose.Types.ObjectId(userId),
+      type: key
+    });
+    if (since) match.date = { $gte: since };
+
+    const [result] = await BiometricData.aggregate([
+      { $match: match },
+      { $sort: { date: 1 } },
+      {
+        $group: {
+          _id: null,
+          value: { [`$${aggregation}`]: '$value' }
+        }
+      }
+    ]);
+
+    return result ? result.value : null;
+  } catch (error) {
+    logger.error('Aggregate metric error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getMetricDefinition,
+  aggregateMetric
+};
\ No newline at end of file
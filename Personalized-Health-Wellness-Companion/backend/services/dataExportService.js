@@ -0,0 +1,349 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const User = require('../models/User');
+const BiometricData = require('../models/BiometricData');
+const CustomMetric = require('../models/CustomMetric');
+const SleepSession = require('../models/SleepSession');
+const Activity = require('../models/Activity');
+const Goal = require('../models/Goal');
+const WorkoutPlan = require('../models/WorkoutPlan');
+const MealPlan = require('../models/MealPlan');
+const ActivityLog = require('../models/ActivityLog');
+const Notification = require('../models/Notification');
+const CommunityPost = require('../models/CommunityPost');
+const ExpertProfile = require('../models/ExpertProfile');
+const DataExport = require('../models/DataExport');
+const ImportJob = require('../models/ImportJob');
+const { createNotification } = require('./notificationService');
+const { toCSV } = require('../utils/csv');
+const sendEmail = require('../utils/sendEmail');
+const logger = require('../utils/logger');
+
+const EXPORT_DIR = process.env.EXPORT_DIR || 'exports';
+const LINK_EXPIRE_HOURS = parseInt(process.env.EXPORT_LINK_EXPIRE_HOURS) || 24;
+const STALE_EXPORT_MINUTES = parseInt(process.env.EXPORT_STALE_MINUTES) || 30;
+
+/**
+ * Convert Mongoose lean documents into plain JSON values (ObjectIds -> strings)
+ */
+const toPlain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Collect every record that belongs to a user
+ */
+const collectUserData = async (userId) => {
+  const profile = await User.findById(userId)
+    .select('-resetPasswordToken -resetPasswordExpire -emailVerificationToken -emailVerificationExpire -magicLinkToken -magicLinkExpire -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes -twoFactor.lastUsedStep -tokenVersion')
+    .populate('badges.badgeId', 'name description')
+    .lean();
+
+  const biometrics = await BiometricData.find({ userId }).sort({ date: 1 }).lean();
+  const customMetrics = await CustomMetric.find({ userId }).sort({ createdAt: 1 }).lean();
+  const sleepSessions = await SleepSession.find({ userId }).sort({ bedtime: 1 }).lean();
+  const activities = await Activity.find({ userId }).sort({ startTime: 1 }).lean();
+  const importJobs = await ImportJob.find({ userId }).sort({ createdAt: 1 }).lean();
+  const goals = await Goal.find({ userId }).sort({ createdAt: 1 }).lean();
+  const workoutPlans = await WorkoutPlan.find({ userId }).sort({ createdAt: 1 }).lean();
+  const mealPlans = await MealPlan.find({ userId }).sort({ createdAt: 1 }).lean();
+  const activityLogs = await ActivityLog.find({ userId }).sort({ createdAt: 1 }).lean();
+  const notifications = await Notification.find({ userId }).sort({ createdAt: 1 }).lean();
+  const communityPosts = await CommunityPost.find({ userId }).sort({ createdAt: 1 }).lean();
+
+  // Comments the user left on other people's posts
+  const commentedPosts = await CommunityPost.find({
+    userId: { $ne: userId },
+    'comments.userId': userId
+  }).select('comments').lean();
+
+  const communityComments = commentedPosts.flatMap(post =>
+    post.comments
+      .filter(comment => comment.userId.toString() === userId.toString())
+      .map(comment => ({ postId: post._id, ...comment }))
+  );
+
+  // Bookings and reviews the user made with experts
+  const experts = await ExpertProfile.find({
+    $or: [{ 'bookings.userId': userId }, { 'reviews.userId': userId }]
+  })
+    .populate('userId', 'name')
+    .select('userId bookings reviews')
+    .lean();
+
+  const expertBookings = experts.flatMap(expert =>
+    expert.bookings
+      .filter(booking => booking.userId.toString() === userId.toString())
+      .map(booking => ({ expertId: expert._id, expertName: expert.userId?.name, ...booking }))
+  );
+
+  const expertReviews = experts.flatMap(expert =>
+    expert.reviews
+      .filter(review => review.userId.toString() === userId.toString())
+      .map(review => ({ expertId: expert._id, expertName: expert.userId?.name, ...review }))
+  );
+
+  return toPlain({
+    profile: profile ? [profile] : [],
+    biometrics,
+    customMetrics,
+    sleepSessions,
+    activities,
+    importJobs,
+    goals,
+    workoutPlans,
+    mealPlans,
+    activityLogs,
+    notifications,
+    communityPosts,
+    communityComments,
+    expertBookings,
+    expertReviews
+  });
+};
+
+/**
+ * Write collected data to a ZIP with a JSON and CSV file per collection
+ */
+const writeArchive = (filePath, data) => {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', () => resolve(archive.pointer()));
+    archive.on('error', reject);
+    output.on('error', reject);
+
+    archive.pipe(output);
+
+    const recordCounts = {};
+    for (const [name, records] of Object.entries(data)) {
+      recordCounts[name] = records.length;
+      archive.append(JSON.stringify(records, null, 2), { name: `json/${name}.json` });
+      archive.append(toCSV(records), { name: `csv/${name}.csv` });
+    }
+
+    archive.append(JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      recordCounts
+    }, null, 2), { name: 'manifest.json' });
+
+    archive.finalize();
+  });
+};
+
+/**
+ * Email the signed download link. Only its hash is stored, so the
+ * account's inbox is the one place the link appears.
+ */
+const sendExportReadyEmail = async (user, downloadUrl, expiresAt) => {
+  return sendEmail({
+    email: user.email,
+    subject: '📦 Your data export is ready',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Your data export is ready</h1>
+        </div>
+        <div style="padding: 30px; background: #f8f9fa;">
+          <h2 style="color: #333;">Hi ${user.name},</h2>
+          <p style="color: #666; font-size: 16px; line-height: 1.6;">
+            Your personal data export is ready to download. The link expires on ${expiresAt.toUTCString()}.
+          </p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${downloadUrl}"
+               style="background: #667eea; color: white; padding: 12px 30px;
+                      text-decoration: none; border-radius: 5px; display: inline-block;">
+              Download Data
+            </a>
+          </div>
+          <p style="color: #999; font-size: 14px;">
+            If you didn't request this export, review your active sessions and change your password.
+          </p>
+        </div>
+      </div>
+    `
+  });
+};
+
+/**
+ * Build the archive for an export job and notify the user
+ */
+const processDataExport = async (exportId, baseUrl) => {
+  const job = await DataExport.findById(exportId);
+  if (!job) return;
+
+  try {
+    job.status = 'processing';
+    await job.save();
+
+    const data = await collectUserData(job.userId);
+
+    fs.mkdirSync(EXPORT_DIR, { recursive: true });
+    const filePath = path.join(EXPORT_DIR, `${job._id}.zip`);
+    const fileSize = await writeArchive(filePath, data);
+
+    const downloadToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + LINK_EXPIRE_HOURS * 60 * 60 * 1000);
+
+    job.filePath = filePath;
+    job.fileSize = fileSize;
+    job.recordCounts = Object.fromEntries(
+      Object.entries(data).map(([name, records]) => [name, records.length])
+    );
+    job.downloadTokenHash = crypto.createHash('sha256').update(downloadToken).digest('hex');
+    job.expiresAt = expiresAt;
+    await job.save();
+
+    // The emailed link is the only way to download, so a failed send fails the job
+    const user = await User.findById(job.userId).select('name email');
+    const sent = user && await sendExportReadyEmail(
+      user,
+      `${baseUrl}/api/users/export/${job._id}/download?token=${downloadToken}`,
+      expiresAt
+    );
+    if (!sent) {
+      throw new Error('The download link email could not be sent. Please request a new export.');
+    }
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    await job.save();
+
+    // The in-app notification points at the export page, never the signed link.
+    // The export is already delivered, so a failure here doesn't fail the job.
+    await createNotification({
+      userId: job.userId,
+      type: 'data_export_ready',
+      title: '📦 Your data export is ready',
+      message: `Your personal data export is ready. We emailed you a download link that expires on ${expiresAt.toUTCString()}.`,
+      actionUrl: `${process.env.FRONTEND_URL}/settings/privacy`,
+      actionText: 'View Export',
+      relatedId: job._id,
+      relatedModel: 'DataExport',
+      priority: 'high',
+      expiresAt
+    }).catch(error => logger.error('Data export notification error:', error));
+
+    logger.info(`📦 Data export ${job._id} completed for user ${job.userId}`);
+  } catch (error) {
+    logger.error('Process data export error:', error);
+    if (job.filePath) {
+      await fs.promises.rm(job.filePath, { force: true });
+    }
+    job.status = 'failed';
+    job.error = error.message;
+    job.filePath = undefined;
+    job.downloadTokenHash = undefined;
+    job.expiresAt = undefined;
+    job.completedAt = undefined;
+    await job.save();
+  }
+};
+
+/**
+ * Create an export job and build it in the background
+ */
+const startDataExport = async (userId, baseUrl) => {
+  try {
+    const job = await DataExport.create({ userId });
+
+    setImmediate(() => {
+      processDataExport(job._id, baseUrl).catch(error => {
+        logger.error('Background data export error:', error);
+      });
+    });
+
+    return job;
+  } catch (error) {
+    logger.error('Start data export error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Validate a download link and return the export job, or null
+ */
+const getExportForDownload = async (exportId, token) => {
+  if (!token) return null;
+
+  const job = await DataExport.findById(exportId).select('+filePath +downloadTokenHash');
+  if (!job || job.status !== 'completed' || !job.expiresAt || job.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+  if (!crypto.timingSafeEqual(Buffer.from(tokenHash), Buffer.from(job.downloadTokenHash))) {
+    return null;
+  }
+
+  if (!fs.existsSync(job.filePath)) return null;
+
+  return job;
+};
+
+/**
+ * Delete archives whose download links have expired
+ */
+const cleanupExpiredExports = async () => {
+  try {
+    const expired = await DataExport.find({
+      status: 'completed',
+      expiresAt: { $lte: new Date() }
+    }).select('+filePath');
+
+    for (const job of expired) {
+      if (job.filePath) {
+        await fs.promises.rm(job.filePath, { force: true });
+      }
+      job.status = 'expired';
+      job.filePath = undefined;
+      job.downloadTokenHash = undefined;
+      await job.save();
+    }
+
+    return expired.length;
+  } catch (error) {
+    logger.error('Cleanup expired exports error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fail exports that stopped making progress. Jobs run in-process, so a
+ * restart mid-job would otherwise leave them pending or processing forever.
+ */
+const failStaleExports = async (query = {}) => {
+  try {
+    const cutoff = new Date(Date.now() - STALE_EXPORT_MINUTES * 60 * 1000);
+    const stale = await DataExport.find({
+      ...query,
+      status: { $in: ['pending', 'processing'] },
+      updatedAt: { $lt: cutoff }
+    }).select('+filePath');
+
+    for (const job of stale) {
+      if (job.filePath) {
+        await fs.promises.rm(job.filePath, { force: true });
+      }
+      job.status = 'failed';
+      job.error = 'The export was interrupted. Please request a new export.';
+      job.filePath = undefined;
+      job.downloadTokenHash = undefined;
+      await job.save();
+    }
+
+    return stale.length;
+  } catch (error) {
+    logger.error('Fail stale exports error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  collectUserData,
+  startDataExport,
+  getExportForDownload,
+  cleanupExpiredExports,
+  failStaleExports
+};
\ No newline at end of file
@@ -0,0 +1,169 @@
+const BiometricData = require('../models/BiometricData');
+const { toCanonicalUnit } = require('../utils/units');
+const logger = require('../utils/logger');
+
+const LOINC_SYSTEM = 'http://loinc.org';
+const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+const CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+
+// LOINC code, observation category and UCUM unit for each exportable type
+const FHIR_OBSERVATION_TYPES = {
+  weight: {
+    loinc: { code: '29463-7', display: 'Body weight' },
+    category: 'vital-signs',
+    ucum: { unit: 'kg', code: 'kg' }
+  },
+  heart_rate: {
+    loinc: { code: '8867-4', display: 'Heart rate' },
+    category: 'vital-signs',
+    ucum: { unit: 'beats/minute', code: '/min' }
+  },
+  blood_pressure: {
+    loinc: { code: '85354-9', display: 'Blood pressure panel with all children optional' },
+    category: 'vital-signs',
+    components: {
+      systolic: { code: '8480-6', display: 'Systolic blood pressure' },
+      diastolic: { code: '8462-4', display: 'Diastolic blood pressure' }
+    },
+    ucum: { unit: 'mmHg', code: 'mm[Hg]' }
+  },
+  steps: {
+    loinc: { code: '55423-8', display: 'Number of steps in unspecified time Pedometer' },
+    category: 'activity',
+    ucum: { unit: 'steps', code: '{steps}' }
+  },
+  body_fat: {
+    loinc: { code: '41982-0', display: 'Percentage of body fat Measured' },
+    category: 'exam',
+    ucum: { unit: '%', code: '%' }
+  },
+  sleep_duration: {
+    loinc: { code: '93832-4', display: 'Sleep duration' },
+    category: 'activity',
+    ucum: { unit: 'h', code: 'h' }
+  }
+};
+
+const quantity = (value, { unit, code }) => ({
+  value,
+  unit,
+  system: UCUM_SYSTEM,
+  code
+});
+
+const loincConcept = ({ code, display }) => ({
+  coding: [{ system: LOINC_SYSTEM, code, display }],
+  text: display
+});
+
+/**
+ * Build a FHIR Patient resource from the user profile
+ */
+const buildPatient = (user) => ({
+  resourceType: 'Patient',
+  id: user._id.toString(),
+  meta: { lastUpdated: user.updatedAt.toISOString() },
+  active: user.accountStatus === 'active',
+  name: [{ text: user.name }],
+  telecom: [{ system: 'email', value: user.email }],
+  ...(['male', 'female', 'other'].includes(user.gender) && { gender: user.gender })
+});
+
+/**
+ * Build a FHIR Observation from a biometric entry (null when it can't be expressed)
+ */
+const buildObservation = (entry, patientId) => {
+  const mapping = FHIR_OBSERVATION_TYPES[entry.type];
+  if (!mapping) return null;
+
+  const observation = {
+    resourceType: 'Observation',
+    id: entry._id.toString(),
+    meta: { lastUpdated: entry.updatedAt.toISOString() },
+    status: 'final',
+    category: [{
+      coding: [{ system: CATEGORY_SYSTEM, code: mapping.category }]
+    }],
+    code: loincConcept(mapping.loinc),
+    subject: { reference: `Patient/${patientId}` },
+    effectiveDateTime: entry.date.toISOString(),
+    issued: entry.createdAt.toISOString()
+  };
+
+  if (mapping.components) {
+    const { systolic, diastolic } = entry.additionalData || {};
+    if (!Number.isFinite(systolic) || !Number.isFinite(diastolic)) return null;
+
+    observation.component = [
+      { code: loincConcept(mapping.components.systolic), valueQuantity: quantity(systolic, mapping.ucum) },
+      { code: loincConcept(mapping.components.diastolic), valueQuantity: quantity(diastolic, mapping.ucum) }
+    ];
+  } else {
+    const converted = toCanonicalUnit(entry.type, entry.value, entry.unit);
+    if (!converted) return null;
+
+    observation.valueQuantity = quantity(converted.value, mapping.ucum);
+  }
+
+  if (entry.notes) {
+    observation.note = [{ text: entry.notes }];
+  }
+
+  return observation;
+};
+
+/**
+ * Build a FHIR R4 collection Bundle with the user's Patient resource
+ * and an Observation per biometric entry
+ */
+const buildFhirBundle = async (user, { start, end, types, baseUrl }) => {
+  try {
+    const query = {
+      userId: user._id,
+      type: { $in: types }
+    };
+    if (start || end) {
+      query.date = {};
+      if (start) query.date.$gte = start;
+      if (end) query.date.$lte = end;
+    }
+
+    // Held and confirmed-outlier readings are not sent to clinicians
+    const entries = await BiometricData.find(BiometricData.countedOnly(query)).sort({ date: 1 }).lean();
+
+    const patientId = user._id.toString();
+    const resources = [buildPatient(user)];
+    let skipped = 0;
+
+    for (const entry of entries) {
+      const observation = buildObservation(entry, patientId);
+      if (observation) {
+        resources.push(observation);
+      } else {
+        skipped++;
+      }
+    }
+
+    if (skipped > 0) {
+      logger.warn(`FHIR export for user ${patientId} skipped ${skipped} entries with unknown units or missing components`);
+    }
+
+    return {
+      resourceType: 'Bundle',
+      type: 'collection',
+      timestamp: new Date().toISOString(),
+      entry: resources.map(resource => ({
+        fullUrl: `${baseUrl}/fhir/${resource.resourceType}/${resource.id}`,
+        resource
+      }))
+    };
+  } catch (error) {
+    logger.error('Build FHIR bundle error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  FHIR_OBSERVATION_TYPES,
+  buildFhirBundle
+};
\ No newline at end of file
@@ -5,6 +5,7 @@ const BiometricData = require('../models/BiometricData');
 const WorkoutPlan = require('../models/WorkoutPlan');
 const Goal = require('../models/Goal');
 const Notification = require('../models/Notification');
+const { getDayBounds } = require('../utils/timezone');
 const logger = require('../utils/logger');
 
 /**
@@ -181,10 +182,10 @@ const checkValueBadge = async (userId, badge) => {
   switch (badge.criteria.metric) {
     case 'weight_lost':
       // Get first weight entry
-      const firstWeight = await BiometricData.findOne({
+      const firstWeight = await BiometricData.findOne(BiometricData.countedOnly({
         userId,
         type: 'weight'
-      }).sort({ date: 1 });
+      })).sort({ date: 1 });
 
       // Get latest weight
       const latestWeight = await BiometricData.getLatestByType(userId, 'weight');
@@ -233,30 +234,26 @@ const checkCustomBadge = async (userId, badge) => {
  */
 const calculateWaterStreak = async (userId) => {
   const user = await User.findById(userId);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  const now = new Date();
 
   let streak = 0;
-  let checkDate = new Date(today);
 
-  // Check backwards from today
+  // Check backwards from today (calendar days in the user's time zone)
   for (let i = 0; i < 365; i++) {
-    const nextDay = new Date(checkDate);
-    nextDay.setDate(nextDay.getDate() + 1);
+    const { start, end } = getDayBounds(now, user?.timezone, -i);
 
-    const waterIntake = await BiometricData.findOne({
+    const waterIntake = await BiometricData.findOne(BiometricData.countedOnly({
       userId,
       type: 'water_intake',
       date: {
-        $gte: checkDate,
-        $lt: nextDay
+        $gte: start,
+        $lt: end
       }
-    });
+    }));
 
     // Assuming goal is 2000ml
     if (waterIntake && waterIntake.value >= 2000) {
       streak++;
-      checkDate.setDate(checkDate.getDate() - 1);
     } else {
       break;
     }
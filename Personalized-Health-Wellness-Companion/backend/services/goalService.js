@@ -0,0 +1,87 @@
+const Goal = require('../models/Goal');
+const ActivityLog = require('../models/ActivityLog');
+const Notification = require('../models/Notification');
+const { awardPoints, checkAndAwardBadges } = require('./gamificationService');
+const { getMetricDefinition, aggregateMetric } = require('./customMetricService');
+const { convertCanonicalTo } = require('../utils/units');
+const logger = require('../utils/logger');
+
+const GOAL_COMPLETION_POINTS = 50;
+
+/**
+ * Record progress on a goal and reward the user if it was just completed
+ */
+const recordGoalProgress = async (userId, goal, value, notes) => {
+  try {
+    const wasCompleted = goal.status === 'completed';
+
+    await goal.updateProgress(value, notes);
+
+    if (!wasCompleted && goal.status === 'completed') {
+      // Award bonus points for completion
+      await awardPoints(userId, GOAL_COMPLETION_POINTS, `Completed goal: ${goal.title}`);
+
+      // Create notification
+      await Notification.create({
+        userId,
+        type: 'goal_milestone',
+        title: '🎉 Goal Completed!',
+        message: `Congratulations! You've achieved your goal: ${goal.title}`,
+        relatedId: goal._id,
+        relatedModel: 'Goal',
+        priority: 'high'
+      });
+
+      // Log activity
+      await ActivityLog.create({
+        userId,
+        activityType: 'goal_completed',
+        description: `Completed goal: ${goal.title}`,
+        relatedId: goal._id,
+        relatedModel: 'Goal',
+        pointsEarned: GOAL_COMPLETION_POINTS
+      });
+
+      // Check for badges
+      await checkAndAwardBadges(userId);
+    }
+
+    return goal;
+  } catch (error) {
+    logger.error('Record goal progress error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update active goals that track a biometric type. Progress is the
+ * metric's aggregation (sum, avg, min, max or last) of readings since
+ * the goal started, in the goal's unit.
+ */
+const syncMetricGoals = async (userId, type) => {
+  try {
+    const goals = await Goal.find({ userId, metric: type, status: 'active' });
+    if (goals.length === 0) return;
+
+    const definition = await getMetricDefinition(userId, type);
+    if (!definition) return;
+
+    for (const goal of goals) {
+      const value = await aggregateMetric(userId, definition, { since: goal.startDate });
+      if (value === null) continue;
+
+      const progress = definition.builtIn ? convertCanonicalTo(type, value, goal.unit) : Math.round(value * 100) / 100;
+      if (progress === null || progress === goal.currentValue) continue;
+
+      await recordGoalProgress(userId, goal, progress, 'Updated from your readings');
+    }
+  } catch (error) {
+    logger.error('Sync metric goals error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  recordGoalProgress,
+  syncMetricGoals
+};
\ No newline at end of file
@@ -0,0 +1,242 @@
+const BiometricData = require('../models/BiometricData');
+const ActivityLog = require('../models/ActivityLog');
+const { resolveTimeZone, getLocalDateRange, formatLocalDay } = require('../utils/timezone');
+const { HR_ZONES, getMaxHeartRate, getHeartRateZones, classifyHeartRate } = require('../utils/heartRate');
+const logger = require('../utils/logger');
+
+const RESTING_PROFILE_DAYS = 14;
+const MIN_RESTING_DAYS = 3;
+const RECENT_TREND_DAYS = 7;
+const BASELINE_TREND_DAYS = 28;
+const MIN_TREND_DAYS = 4;
+const TREND_THRESHOLD_BPM = 3;
+
+// Samples further apart than this don't count as continuous time in a zone
+const MAX_SAMPLE_GAP_SECONDS = 300;
+
+const average = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * One resting heart rate per local day: the average of readings tagged
+ * as resting, or the day's lowest reading when none are tagged
+ */
+const getDailyRestingHeartRates = async (userId, { start, end, timeZone }) => {
+  const rows = await BiometricData.aggregate([
+    {
+      $match: BiometricData.countedOnly({
+        userId,
+        type: 'heart_rate',
+        date: { $gte: start, $lt: end }
+      })
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: timeZone } },
+        lowest: { $min: '$value' },
+        resting: {
+          $avg: { $cond: [{ $eq: ['$additionalData.context', 'resting'] }, '$value', null] }
+        }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return rows.map(row => ({
+    date: row._id,
+    value: Math.round(row.resting ?? row.lowest),
+    basis: row.resting === null ? 'lowest_reading' : 'resting_readings'
+  }));
+};
+
+/**
+ * Max heart rate, recent resting heart rate and zone boundaries for a user
+ */
+const getHeartRateProfile = async (user) => {
+  try {
+    const timeZone = resolveTimeZone(user.timezone);
+    const { start, end } = getLocalDateRange(RESTING_PROFILE_DAYS, timeZone);
+    const daily = await getDailyRestingHeartRates(user._id, { start, end, timeZone });
+
+    const restingHeartRate = daily.length >= MIN_RESTING_DAYS
+      ? Math.round(median(daily.map(d => d.value)))
+      : null;
+    const { maxHeartRate, source } = getMaxHeartRate(user);
+
+    return {
+      maxHeartRate,
+      maxHeartRateSource: source,
+      restingHeartRate,
+      zoneBasis: restingHeartRate ? 'heart_rate_reserve' : 'max_heart_rate',
+      zones: getHeartRateZones(maxHeartRate, restingHeartRate)
+    };
+  } catch (error) {
+    logger.error('Get heart rate profile error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Compare the last week's resting heart rate with the four weeks before.
+ * A sustained rise can mean fatigue, illness or stress; a fall usually
+ * follows improving fitness.
+ */
+const getRestingHeartRateTrend = async (user, { days = 60 } = {}) => {
+  try {
+    const timeZone = resolveTimeZone(user.timezone);
+    const span = Math.max(days, RECENT_TREND_DAYS + BASELINE_TREND_DAYS);
+    const { start, end } = getLocalDateRange(span, timeZone);
+    const daily = await getDailyRestingHeartRates(user._id, { start, end, timeZone });
+
+    const { start: recentStart } = getLocalDateRange(RECENT_TREND_DAYS, timeZone);
+    const { start: baselineStart } = getLocalDateRange(RECENT_TREND_DAYS + BASELINE_TREND_DAYS, timeZone);
+    const recentFrom = formatLocalDay(recentStart, timeZone);
+    const baselineFrom = formatLocalDay(baselineStart, timeZone);
+
+    const recent = daily.filter(d => d.date >= recentFrom).map(d => d.value);
+    const baseline = daily.filter(d => d.date >= baselineFrom && d.date < recentFrom).map(d => d.value);
+
+    const { start: periodStart } = getLocalDateRange(days, timeZone);
+    const periodFrom = formatLocalDay(periodStart, timeZone);
+    const result = {
+      days,
+      daily: daily.filter(d => d.date >= periodFrom),
+      recentAverage: null,
+      baselineAverage: null,
+      change: null,
+      slopePerWeek: null,
+      trend: 'insufficient_data',
+      message: `Log your resting heart rate on at least ${MIN_TREND_DAYS} days this week and ${MIN_TREND_DAYS} days in the weeks before to see a trend.`
+    };
+
+    if (recent.length < MIN_TREND_DAYS || baseline.length < MIN_TREND_DAYS) return result;
+
+    const round = (value) => Math.round(value * 10) / 10;
+    result.recentAverage = round(average(recent));
+    result.baselineAverage = round(average(baseline));
+    result.change = round(result.recentAverage - result.baselineAverage);
+
+    // Least-squares slope across the whole window, in bpm per week
+    const points = daily.map(d => ({ x: (new Date(d.date) - new Date(daily[0].date)) / 86400000, y: d.value }));
+    const meanX = average(points.map(p => p.x));
+    const meanY = average(points.map(p => p.y));
+    const denominator = points.reduce((total, p) => total + (p.x - meanX) ** 2, 0);
+    result.slopePerWeek = denominator > 0
+      ? round(points.reduce((total, p) => total + (p.x - meanX) * (p.y - meanY), 0) / denominator * 7)
+      : 0;
+
+    if (result.change >= TREND_THRESHOLD_BPM) {
+      result.trend = 'rising';
+      result.message = `Your resting heart rate is up ${result.change} bpm on your usual level. This can be a sign of fatigue, illness or stress - consider an easier week.`;
+    } else if (result.change <= -TREND_THRESHOLD_BPM) {
+      result.trend = 'falling';
+      result.message = `Your resting heart rate is down ${Math.abs(result.change)} bpm on your usual level, which usually comes with improving fitness.`;
+    } else {
+      result.trend = 'stable';
+      result.message = 'Your resting heart rate is steady.';
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('Get resting heart rate trend error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Local days in a range with logged exercise or a completed workout
+ */
+const getWorkoutDays = async (userId, { start, end, timeZone }) => {
+  const exercise = await BiometricData.find(BiometricData.countedOnly({
+    userId,
+    type: 'exercise_duration',
+    date: { $gte: start, $lt: end }
+  })).select('date').lean();
+
+  const workouts = await ActivityLog.find(ActivityLog.occurredWithin({
+    userId,
+    activityType: 'workout_completed'
+  }, { $gte: start, $lt: end })).select('occurredAt createdAt').lean();
+
+  return new Set([
+    ...exercise.map(entry => formatLocalDay(entry.date, timeZone)),
+    ...workouts.map(log => formatLocalDay(log.occurredAt || log.createdAt, timeZone))
+  ]);
+};
+
+/**
+ * Minutes spent in each heart rate zone on each workout day. Each
+ * sample counts until the next one, up to MAX_SAMPLE_GAP_SECONDS, so
+ * sparse manual readings add little time.
+ */
+const getTimeInZones = async (user, { days = 7 } = {}) => {
+  try {
+    const timeZone = resolveTimeZone(user.timezone);
+    const { start, end } = getLocalDateRange(days, timeZone);
+    const profile = await getHeartRateProfile(user);
+
+    const workoutDays = await getWorkoutDays(user._id, { start, end, timeZone });
+
+    const samples = await BiometricData.find(BiometricData.countedOnly({
+      userId: user._id,
+      type: 'heart_rate',
+      date: { $gte: start, $lt: end },
+      'additionalData.context': { $ne: 'resting' }
+    }))
+      .sort({ date: 1 })
+      .select('value date')
+      .lean();
+
+    const summaries = new Map([...workoutDays].sort().map(date => [date, {
+      date,
+      seconds: new Array(HR_ZONES.length + 1).fill(0),
+      values: []
+    }]));
+
+    samples.forEach((sample, index) => {
+      const summary = summaries.get(formatLocalDay(sample.date, timeZone));
+      if (!summary) return;
+
+      const next = samples[index + 1];
+      const gap = next ? (next.date - sample.date) / 1000 : 0;
+      summary.seconds[classifyHeartRate(sample.value, profile.zones)] += Math.min(gap, MAX_SAMPLE_GAP_SECONDS);
+      summary.values.push(sample.value);
+    });
+
+    const toMinutes = (seconds) => Math.round(seconds / 60);
+    const workoutSummaries = [...summaries.values()].map(({ date, seconds, values }) => ({
+      date,
+      samples: values.length,
+      averageHeartRate: values.length > 0 ? Math.round(average(values)) : null,
+      maxHeartRate: values.length > 0 ? Math.max(...values) : null,
+      minutesBelowZones: toMinutes(seconds[0]),
+      minutesInZone: Object.fromEntries(HR_ZONES.map(({ zone }) => [`zone${zone}`, toMinutes(seconds[zone])]))
+    }));
+
+    const totals = Object.fromEntries(HR_ZONES.map(({ zone }) => [
+      `zone${zone}`,
+      workoutSummaries.reduce((total, day) => total + day.minutesInZone[`zone${zone}`], 0)
+    ]));
+
+    return {
+      days,
+      zones: profile.zones,
+      workoutDays: workoutSummaries,
+      totalMinutesInZone: totals
+    };
+  } catch (error) {
+    logger.error('Get time in zones error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getHeartRateProfile,
+  getRestingHeartRateTrend,
+  getTimeInZones
+};
\ No newline at end of file
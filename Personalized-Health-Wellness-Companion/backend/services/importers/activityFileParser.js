@@ -0,0 +1,178 @@
+const sax = require('sax');
+
+/**
+ * Readers for GPS activity files (GPX and TCX). Unlike the biometric
+ * importers in this folder these return a single activity:
+ * `{ format, name, sport, calories, points }` where each point is
+ * `{ time, lat, lon, elevation, heartRate, distance }` (distance is the
+ * device's cumulative metres, TCX only). Missing values are undefined.
+ */
+
+const SPORT_PATTERNS = [
+  { sport: 'running', pattern: /run|jog/i },
+  { sport: 'cycling', pattern: /bik|cycl|ride/i },
+  { sport: 'hiking', pattern: /hik/i },
+  { sport: 'walking', pattern: /walk/i },
+  { sport: 'swimming', pattern: /swim/i }
+];
+
+/**
+ * Map a file's free-text activity type to one of our sports
+ */
+const normalizeSport = (value) => {
+  const match = SPORT_PATTERNS.find(({ pattern }) => pattern.test(value || ''));
+  return match ? match.sport : 'other';
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const toDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date) ? undefined : date;
+};
+
+/**
+ * Walk an XML document, calling `onClose(path, text, attributes)` for
+ * every element with its local-name path (namespace prefixes dropped)
+ * and `onOpen(path, attributes)` as elements start
+ */
+const walkXml = (xml, { onOpen = () => {}, onClose }) => {
+  const parser = sax.parser(true, { trim: true });
+  const stack = [];
+
+  parser.onopentag = ({ name, attributes }) => {
+    const localAttributes = {};
+    for (const [key, value] of Object.entries(attributes)) {
+      localAttributes[key.split(':').pop()] = value;
+    }
+    stack.push({ name: name.split(':').pop(), attributes: localAttributes, text: '' });
+    onOpen(stack.map(element => element.name), localAttributes);
+  };
+
+  parser.ontext = parser.oncdata = (text) => {
+    if (stack.length > 0) stack[stack.length - 1].text += text;
+  };
+
+  parser.onclosetag = () => {
+    const path = stack.map(element => element.name);
+    const { text, attributes } = stack.pop();
+    onClose(path, text, attributes);
+  };
+
+  parser.write(xml).close();
+};
+
+const endsWith = (path, ...names) => names.every((name, index) => path[path.length - names.length + index] === name);
+
+/**
+ * Parse a GPX 1.0/1.1 file (track points only; planned routes have no times)
+ */
+const parseGpx = (xml) => {
+  const activity = { format: 'gpx', points: [] };
+  let point = null;
+  let sportText;
+
+  walkXml(xml, {
+    onOpen: (path, attributes) => {
+      if (endsWith(path, 'trkpt')) {
+        point = { lat: toNumber(attributes.lat), lon: toNumber(attributes.lon) };
+      }
+    },
+    onClose: (path, text) => {
+      const name = path[path.length - 1];
+
+      if (point) {
+        if (name === 'trkpt') {
+          activity.points.push(point);
+          point = null;
+        } else if (name === 'ele') {
+          point.elevation = toNumber(text);
+        } else if (name === 'time') {
+          point.time = toDate(text);
+        } else if (name === 'hr' || name === 'heartrate') {
+          point.heartRate = toNumber(text);
+        }
+        return;
+      }
+
+      if (endsWith(path, 'trk', 'name')) activity.name = activity.name || text;
+      if (endsWith(path, 'metadata', 'name')) activity.name = activity.name || text;
+      if (endsWith(path, 'trk', 'type')) sportText = text;
+    }
+  });
+
+  activity.sport = normalizeSport(sportText || activity.name);
+  return activity;
+};
+
+/**
+ * Parse a Garmin Training Center (TCX) file
+ */
+const parseTcx = (xml) => {
+  const activity = { format: 'tcx', points: [] };
+  let point = null;
+  let calories = 0;
+  let sportText;
+
+  walkXml(xml, {
+    onOpen: (path, attributes) => {
+      if (endsWith(path, 'Activity')) sportText = attributes.Sport;
+      if (endsWith(path, 'Trackpoint')) point = {};
+    },
+    onClose: (path, text) => {
+      const name = path[path.length - 1];
+
+      if (point) {
+        if (name === 'Trackpoint') {
+          activity.points.push(point);
+          point = null;
+        } else if (name === 'Time') {
+          point.time = toDate(text);
+        } else if (name === 'LatitudeDegrees') {
+          point.lat = toNumber(text);
+        } else if (name === 'LongitudeDegrees') {
+          point.lon = toNumber(text);
+        } else if (name === 'AltitudeMeters') {
+          point.elevation = toNumber(text);
+        } else if (name === 'DistanceMeters') {
+          point.distance = toNumber(text);
+        } else if (endsWith(path, 'HeartRateBpm', 'Value')) {
+          point.heartRate = toNumber(text);
+        }
+        return;
+      }
+
+      if (endsWith(path, 'Lap', 'Calories')) calories += toNumber(text) || 0;
+      if (endsWith(path, 'Activity', 'Notes')) activity.name = activity.name || text;
+    }
+  });
+
+  activity.sport = normalizeSport(sportText);
+  activity.calories = calories > 0 ? calories : undefined;
+  return activity;
+};
+
+/**
+ * Pick a parser from the file name, falling back to the root element
+ */
+const parseActivityFile = (fileName, buffer) => {
+  const xml = buffer.toString('utf8');
+  const extension = (fileName || '').toLowerCase().split('.').pop();
+
+  if (extension === 'gpx') return parseGpx(xml);
+  if (extension === 'tcx') return parseTcx(xml);
+  if (/<gpx[\s>]/.test(xml.slice(0, 2000))) return parseGpx(xml);
+  if (/<TrainingCenterDatabase[\s>]/.test(xml.slice(0, 2000))) return parseTcx(xml);
+
+  throw new Error('Unrecognised activity file - upload a GPX or TCX file');
+};
+
+module.exports = {
+  normalizeSport,
+  parseGpx,
+  parseTcx,
+  parseActivityFile
+};
\ No newline at end of file
@@ -0,0 +1,113 @@
+const { CANONICAL_UNITS } = require('../../utils/units');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Asleep segments closer together than this belong to the same night
+const SLEEP_SESSION_GAP_MS = 60 * 60 * 1000;
+
+/**
+ * Collects high-frequency samples while an export is read and turns
+ * them into one entry per day (totals) or per hour (averages).
+ * Each entry gets a stable externalId so re-imports update it in place.
+ */
+const createAggregator = (source) => {
+  const dailyTotals = new Map();
+  const hourlyAverages = new Map();
+  const sleepSegments = new Map();
+
+  return {
+    /**
+     * Add to a day's total. Totals are kept per device and the largest
+     * wins, because phone and watch often record the same steps.
+     */
+    addDailyTotal({ type, day, date, value, device = 'default' }) {
+      const key = `${type}|${day}`;
+      if (!dailyTotals.has(key)) dailyTotals.set(key, { type, day, date, byDevice: new Map() });
+
+      const { byDevice } = dailyTotals.get(key);
+      byDevice.set(device, (byDevice.get(device) || 0) + value);
+    },
+
+    /**
+     * Add a sample to an hourly average (hour is "YYYY-MM-DDTHH")
+     */
+    addHourlySample({ type, hour, date, value }) {
+      const key = `${type}|${hour}`;
+      if (!hourlyAverages.has(key)) hourlyAverages.set(key, { type, hour, date, sum: 0, count: 0 });
+
+      const bucket = hourlyAverages.get(key);
+      bucket.sum += value;
+      bucket.count++;
+    },
+
+    /**
+     * Add an asleep segment. Segments are grouped into sessions per device
+     * when the records are read, and each session counts towards the day
+     * you wake up. `wake` is the { day, date } of the segment's end.
+     */
+    addSleepSegment({ start, end, wake, device = 'default' }) {
+      if (!sleepSegments.has(device)) sleepSegments.set(device, []);
+      sleepSegments.get(device).push({ start, end, wake });
+    },
+
+    /**
+     * Aggregated records, ready for the import pipeline
+     */
+    *records() {
+      for (const [device, segments] of sleepSegments) {
+        segments.sort((a, b) => a.start - b.start);
+
+        let session = null;
+        const addSession = () => {
+          this.addDailyTotal({
+            type: 'sleep_duration',
+            ...session.wake,
+            value: session.asleepMs / (60 * 60 * 1000),
+            device
+          });
+        };
+
+        for (const segment of segments) {
+          if (session && segment.start - session.end <= SLEEP_SESSION_GAP_MS) {
+            // Only count time not already covered by an overlapping segment
+            session.asleepMs += Math.max(segment.end - Math.max(segment.start, session.end), 0);
+            if (segment.end > session.end) {
+              session.end = segment.end;
+              session.wake = segment.wake;
+            }
+            continue;
+          }
+
+          if (session) addSession();
+          session = { end: segment.end, wake: segment.wake, asleepMs: segment.end - segment.start };
+        }
+        if (session) addSession();
+      }
+      sleepSegments.clear();
+
+      for (const { type, day, date, byDevice } of dailyTotals.values()) {
+        yield {
+          type,
+          value: round(Math.max(...byDevice.values())),
+          unit: CANONICAL_UNITS[type],
+          date,
+          externalId: `${source}:${type}:${day}`
+        };
+      }
+
+      for (const { type, hour, date, sum, count } of hourlyAverages.values()) {
+        yield {
+          type,
+          value: round(sum / count),
+          unit: CANONICAL_UNITS[type],
+          date,
+          externalId: `${source}:${type}:${hour}`
+        };
+      }
+    }
+  };
+};
+
+module.exports = {
+  createAggregator
+};
\ No newline at end of file
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const sax = require('sax');
+const { toCanonicalUnit } = require('../../utils/units');
+const { createAggregator } = require('./aggregator');
+
+// HealthKit quantity types we import, mapped to our biometric types
+const QUANTITY_TYPES = {
+  HKQuantityTypeIdentifierBodyMass: 'weight',
+  HKQuantityTypeIdentifierHeartRate: 'heart_rate',
+  HKQuantityTypeIdentifierBodyFatPercentage: 'body_fat',
+  HKQuantityTypeIdentifierStepCount: 'steps',
+  HKQuantityTypeIdentifierActiveEnergyBurned: 'calories_burned',
+  HKQuantityTypeIdentifierDietaryWater: 'water_intake'
+};
+
+// Apple stores these as many small samples - we keep one total per day
+const DAILY_TOTAL_TYPES = ['steps', 'calories_burned', 'water_intake'];
+
+const SLEEP_TYPE = 'HKCategoryTypeIdentifierSleepAnalysis';
+const ASLEEP_VALUE = /^HKCategoryValueSleepAnalysisAsleep/;
+
+const MAX_PARSE_ERRORS = 100;
+
+/**
+ * Parse an Apple Health timestamp ("2024-01-15 07:30:00 -0500")
+ */
+const parseAppleDate = (value) => {
+  const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const [, day, time, offsetHours, offsetMinutes] = match;
+  const offset = `${offsetHours}:${offsetMinutes}`;
+
+  return {
+    date: new Date(`${day}T${time}${offset}`),
+    day,
+    offset
+  };
+};
+
+/**
+ * Daily totals are stamped at midday local time, which keeps the entry
+ * on the right calendar day in any timezone view
+ */
+const toDailyTotal = ({ day, offset }) => ({
+  day,
+  date: new Date(`${day}T12:00:00${offset}`)
+});
+
+/**
+ * Stream-parse an Apple Health export.xml, yielding biometric records.
+ * Records that can't be mapped are yielded as `{ skipped: reason }`.
+ */
+async function* readAppleHealthExport(files, { onProgress } = {}) {
+  const parser = sax.parser(true);
+  const pending = [];
+  const aggregator = createAggregator('apple_health');
+  let parseErrors = 0;
+
+  parser.onerror = (error) => {
+    // Some iOS versions write slightly malformed XML - skip past it
+    parseErrors++;
+    if (parseErrors > MAX_PARSE_ERRORS) {
+      throw new Error(`Too many XML errors in Apple Health export: ${error.message}`);
+    }
+    parser.error = null;
+    parser.resume();
+  };
+
+  parser.onopentag = ({ name, attributes }) => {
+    if (name !== 'Record') return;
+
+    const start = parseAppleDate(attributes.startDate);
+
+    if (attributes.type === SLEEP_TYPE) {
+      const end = parseAppleDate(attributes.endDate);
+      if (!ASLEEP_VALUE.test(attributes.value)) return;
+      if (!start || !end) {
+        pending.push({ skipped: 'Sleep record with invalid dates' });
+        return;
+      }
+
+      aggregator.addSleepSegment({
+        start: start.date,
+        end: end.date,
+        wake: toDailyTotal(end),
+        device: attributes.sourceName
+      });
+      return;
+    }
+
+    const type = QUANTITY_TYPES[attributes.type];
+    if (!type) return;
+
+    let value = parseFloat(attributes.value);
+    if (!start || !Number.isFinite(value)) {
+      pending.push({ skipped: `Invalid ${type} record` });
+      return;
+    }
+
+    // HealthKit stores body fat as a fraction with a "%" unit
+    if (type === 'body_fat' && value <= 1) value *= 100;
+
+    const converted = toCanonicalUnit(type, value, attributes.unit);
+    if (!converted) {
+      pending.push({ skipped: `Unsupported unit '${attributes.unit}' for ${type}` });
+      return;
+    }
+
+    if (DAILY_TOTAL_TYPES.includes(type)) {
+      aggregator.addDailyTotal({
+        type,
+        ...toDailyTotal(start),
+        value: converted.value,
+        device: attributes.sourceName
+      });
+      return;
+    }
+
+    pending.push({ type, ...converted, date: start.date });
+  };
+
+  const stream = fs.createReadStream(files[0].path, { encoding: 'utf8', highWaterMark: 1024 * 1024 });
+
+  for await (const chunk of stream) {
+    parser.write(chunk);
+    if (onProgress) onProgress(stream.bytesRead);
+
+    for (const record of pending.splice(0)) {
+      yield record;
+    }
+  }
+
+  parser.close();
+  for (const record of pending.splice(0)) {
+    yield record;
+  }
+
+  yield* aggregator.records();
+}
+
+module.exports = {
+  readAppleHealthExport
+};
\ No newline at end of file
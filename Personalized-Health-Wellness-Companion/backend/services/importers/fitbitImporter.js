@@ -0,0 +1,118 @@
+const fs = require('fs');
+const { toCanonicalUnit } = require('../../utils/units');
+const { zonedTimeToUtc, getLocalMidday } = require('../../utils/timezone');
+const { createAggregator } = require('./aggregator');
+
+/**
+ * Parse Fitbit's local "MM/DD/YY HH:mm:ss" timestamps in the user's time zone
+ */
+const parseFitbitDateTime = (value, timeZone) => {
+  const match = /^(\d{2})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const [, month, day, year, hour, minute, second] = match.map(Number);
+  return {
+    day: `20${String(year).padStart(2, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+    hour,
+    date: zonedTimeToUtc({ year: 2000 + year, month, day, hour, minute, second }, timeZone)
+  };
+};
+
+/**
+ * Work out what a Fitbit export file contains from its name
+ * (e.g. "steps-2024-01-15.json", "heart_rate-2024-01-15.json")
+ */
+const getFileKind = (fileName) => {
+  const match = /^(steps|heart_rate|weight|sleep)-\d{4}-\d{2}-\d{2}\.json$/.exec(fileName.split(/[\\/]/).pop());
+  return match ? match[1] : null;
+};
+
+/**
+ * Read Fitbit data-export JSON files, yielding biometric records.
+ * Fitbit exports weight in the account's unit, which is passed as `weightUnit`.
+ */
+async function* readFitbitExport(files, { onProgress, timeZone, options = {} } = {}) {
+  const aggregator = createAggregator('fitbit');
+  const weightUnit = options.weightUnit || 'kg';
+  let bytesRead = 0;
+
+  for (const file of files) {
+    const kind = getFileKind(file.name);
+    let entries;
+
+    try {
+      entries = kind ? JSON.parse(await fs.promises.readFile(file.path, 'utf8')) : null;
+    } catch (error) {
+      entries = null;
+    } finally {
+      bytesRead += file.size || 0;
+      if (onProgress) onProgress(bytesRead);
+    }
+
+    if (!Array.isArray(entries)) {
+      yield { skipped: `${file.name} is not a supported Fitbit export file` };
+      continue;
+    }
+
+    for (const entry of entries) {
+      if (kind === 'steps') {
+        const time = parseFitbitDateTime(entry.dateTime, timeZone);
+        const value = parseFloat(entry.value);
+        if (!time || !Number.isFinite(value)) {
+          yield { skipped: `Invalid steps entry in ${file.name}` };
+          continue;
+        }
+        aggregator.addDailyTotal({
+          type: 'steps',
+          day: time.day,
+          date: getLocalMidday(time.day, timeZone),
+          value
+        });
+      } else if (kind === 'heart_rate') {
+        const time = parseFitbitDateTime(entry.dateTime, timeZone);
+        const value = entry.value && parseFloat(entry.value.bpm);
+        if (!time || !Number.isFinite(value)) {
+          yield { skipped: `Invalid heart rate entry in ${file.name}` };
+          continue;
+        }
+        aggregator.addHourlySample({
+          type: 'heart_rate',
+          hour: `${time.day}T${String(time.hour).padStart(2, '0')}`,
+          date: time.date,
+          value
+        });
+      } else if (kind === 'weight') {
+        const time = parseFitbitDateTime(`${entry.date} ${entry.time || '00:00:00'}`, timeZone);
+        const converted = toCanonicalUnit('weight', parseFloat(entry.weight), weightUnit);
+        if (!time || !converted || !Number.isFinite(converted.value)) {
+          yield { skipped: `Invalid weight entry in ${file.name}` };
+          continue;
+        }
+        yield {
+          type: 'weight',
+          ...converted,
+          date: time.date,
+          ...(entry.logId && { externalId: `fitbit:weight:${entry.logId}` })
+        };
+      } else if (kind === 'sleep') {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.dateOfSleep || '') || !Number.isFinite(entry.minutesAsleep)) {
+          yield { skipped: `Invalid sleep entry in ${file.name}` };
+          continue;
+        }
+        // Naps and main sleep on the same date add up
+        aggregator.addDailyTotal({
+          type: 'sleep_duration',
+          day: entry.dateOfSleep,
+          date: getLocalMidday(entry.dateOfSleep, timeZone),
+          value: entry.minutesAsleep / 60
+        });
+      }
+    }
+  }
+
+  yield* aggregator.records();
+}
+
+module.exports = {
+  readFitbitExport
+};
\ No newline at end of file
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const { toCanonicalUnit } = require('../../utils/units');
+const { formatLocalDay, getLocalMidday, getZonedParts } = require('../../utils/timezone');
+const { createAggregator } = require('./aggregator');
+
+// Google Fit sleep stages that count as asleep (1 = awake, 3 = out of bed)
+const ASLEEP_STAGES = [2, 4, 5, 6];
+
+const nanosToDate = (nanos) => new Date(Number(BigInt(nanos) / 1000000n));
+
+const getPointValue = (point) => {
+  const [field] = point.fitValue || [];
+  if (!field || !field.value) return NaN;
+  return field.value.fpVal ?? field.value.intVal ?? NaN;
+};
+
+/**
+ * Read Google Takeout Fit "All Data" JSON files, yielding biometric records.
+ * Each file holds the data points of one data source.
+ */
+async function* readGoogleFitTakeout(files, { onProgress, timeZone } = {}) {
+  const aggregator = createAggregator('google_fit');
+  let bytesRead = 0;
+
+  const daily = (date) => {
+    const day = formatLocalDay(date, timeZone);
+    return { day, date: getLocalMidday(day, timeZone) };
+  };
+
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(file.path, 'utf8'));
+    } catch (error) {
+      yield { skipped: `${file.name} is not valid JSON` };
+      continue;
+    } finally {
+      bytesRead += file.size || 0;
+      if (onProgress) onProgress(bytesRead);
+    }
+
+    const points = data['Data Points'];
+    if (!Array.isArray(points)) {
+      yield { skipped: `${file.name} is not a Google Fit data file` };
+      continue;
+    }
+
+    const device = data['Data Source'] || file.name;
+
+    for (const point of points) {
+      const value = getPointValue(point);
+      if (!point.startTimeNanos || !point.endTimeNanos || !Number.isFinite(value)) {
+        yield { skipped: `Invalid data point in ${file.name}` };
+        continue;
+      }
+
+      const start = nanosToDate(point.startTimeNanos);
+      const end = nanosToDate(point.endTimeNanos);
+
+      switch (point.dataTypeName) {
+        case 'com.google.step_count.delta':
+          aggregator.addDailyTotal({ type: 'steps', ...daily(start), value, device });
+          break;
+
+        case 'com.google.heart_rate.bpm': {
+          const { hour } = getZonedParts(start, timeZone);
+          aggregator.addHourlySample({
+            type: 'heart_rate',
+            hour: `${formatLocalDay(start, timeZone)}T${String(hour).padStart(2, '0')}`,
+            date: start,
+            value
+          });
+          break;
+        }
+
+        case 'com.google.weight':
+          yield { type: 'weight', ...toCanonicalUnit('weight', value, 'kg'), date: start };
+          break;
+
+        case 'com.google.sleep.segment':
+          if (ASLEEP_STAGES.includes(value)) {
+            aggregator.addSleepSegment({ start, end, wake: daily(end), device });
+          }
+          break;
+
+        default:
+          // Other Fit data types are not imported
+          break;
+      }
+    }
+  }
+
+  yield* aggregator.records();
+}
+
+module.exports = {
+  readGoogleFitTakeout
+};
\ No newline at end of file
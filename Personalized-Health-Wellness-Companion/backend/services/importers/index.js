@@ -0,0 +1,17 @@
+const { readAppleHealthExport } = require('./appleHealthImporter');
+const { readGoogleFitTakeout } = require('./googleFitImporter');
+const { readFitbitExport } = require('./fitbitImporter');
+
+/**
+ * File importers, keyed by BiometricData source.
+ *
+ * Each importer is an async generator `(files, { onProgress, timeZone, options })`
+ * that yields biometric records `{ type, value, unit, date, externalId? }`
+ * or `{ skipped: reason }`. The import pipeline handles validation,
+ * de-duplication, batching and progress, so a new format only needs a reader.
+ */
+module.exports = {
+  apple_health: readAppleHealthExport,
+  google_fit: readGoogleFitTakeout,
+  fitbit: readFitbitExport
+};
\ No newline at end of file
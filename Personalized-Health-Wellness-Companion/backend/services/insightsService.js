@@ -0,0 +1,227 @@
+const BiometricData = require('../models/BiometricData');
+const { resolveTimeZone, getLocalDateRange } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+// How each type is rolled up into one value per day
+const DAILY_AGGREGATION = {
+  sleep_duration: '$sum',
+  mood: '$avg',
+  stress_level: '$avg',
+  steps: '$sum',
+  calories_consumed: '$sum',
+  calories_burned: '$sum',
+  water_intake: '$sum',
+  exercise_duration: '$sum'
+};
+
+/**
+ * Metric pairs worth relating. `lag` is how many days after the `cause`
+ * day the `effect` is measured. Sleep is recorded on the day you wake
+ * up, so a lag of 0 pairs last night's sleep with today's mood and a
+ * lag of 1 pairs today's activity with tonight's sleep.
+ */
+const CORRELATION_PAIRS = [
+  { cause: 'sleep_duration', effect: 'mood', lag: 0, when: 'after nights you sleep longer', outcome: 'your mood' },
+  { cause: 'sleep_duration', effect: 'stress_level', lag: 0, when: 'after nights you sleep longer', outcome: 'your stress level' },
+  { cause: 'steps', effect: 'mood', lag: 0, when: 'on days you walk more', outcome: 'your mood' },
+  { cause: 'steps', effect: 'stress_level', lag: 0, when: 'on days you walk more', outcome: 'your stress level' },
+  { cause: 'steps', effect: 'sleep_duration', lag: 1, when: 'on days you walk more', outcome: 'your sleep that night' },
+  { cause: 'exercise_duration', effect: 'sleep_duration', lag: 1, when: 'on days you exercise longer', outcome: 'your sleep that night' },
+  { cause: 'exercise_duration', effect: 'mood', lag: 0, when: 'on days you exercise longer', outcome: 'your mood' },
+  { cause: 'stress_level', effect: 'sleep_duration', lag: 1, when: 'on more stressful days', outcome: 'your sleep that night' },
+  { cause: 'water_intake', effect: 'mood', lag: 0, when: 'on days you drink more water', outcome: 'your mood' },
+  { cause: 'calories_consumed', effect: 'mood', lag: 0, when: 'on days you eat more', outcome: 'your mood' },
+  { cause: 'calories_burned', effect: 'sleep_duration', lag: 1, when: 'on days you burn more calories', outcome: 'your sleep that night' }
+];
+
+const DEFAULT_INSIGHT_DAYS = 90;
+const MIN_PAIRED_DAYS = 14;
+const MIN_EFFECT_SIZE = 0.1;
+
+/**
+ * Ranks with ties sharing their average rank
+ */
+const rank = (values) => {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = averageRank;
+    i = j + 1;
+  }
+
+  return ranks;
+};
+
+const pearson = (xs, ys) => {
+  const n = xs.length;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+/**
+ * Spearman rank correlation with a 95% confidence interval (Fisher z)
+ */
+const spearman = (xs, ys) => {
+  const r = pearson(rank(xs), rank(ys));
+  if (r === null) return null;
+
+  const clamped = Math.max(-0.9999, Math.min(0.9999, r));
+  const z = Math.atanh(clamped);
+  const margin = 1.96 / Math.sqrt(xs.length - 3);
+
+  return {
+    r,
+    confidenceInterval: [Math.tanh(z - margin), Math.tanh(z + margin)]
+  };
+};
+
+/**
+ * Conventional label for the size of a correlation
+ */
+const describeEffectSize = (r) => {
+  const size = Math.abs(r);
+  if (size < 0.1) return 'negligible';
+  if (size < 0.3) return 'small';
+  if (size < 0.5) return 'moderate';
+  return 'strong';
+};
+
+const shiftDay = (localDay, days) => {
+  const date = new Date(`${localDay}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * One value per type per calendar day in the user's time zone
+ */
+const getDailyAggregates = async (userId, { start, end, timeZone }) => {
+  const rows = await BiometricData.aggregate([
+    {
+      $match: BiometricData.countedOnly({
+        userId,
+        type: { $in: Object.keys(DAILY_AGGREGATION) },
+        date: { $gte: start, $lt: end }
+      })
+    },
+    {
+      $group: {
+        _id: {
+          type: '$type',
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: timeZone } }
+        },
+        sum: { $sum: '$value' },
+        avg: { $avg: '$value' }
+      }
+    }
+  ]);
+
+  const daily = {};
+  for (const { _id, sum, avg } of rows) {
+    daily[_id.type] = daily[_id.type] || new Map();
+    daily[_id.type].set(_id.day, DAILY_AGGREGATION[_id.type] === '$sum' ? sum : avg);
+  }
+
+  return daily;
+};
+
+/**
+ * Lagged correlations between daily aggregates for a user.
+ * Statements are only produced for pairs with enough paired days and
+ * a confidence interval that excludes zero.
+ */
+const getCorrelationInsights = async (userId, { days = DEFAULT_INSIGHT_DAYS, timeZone } = {}) => {
+  try {
+    const zone = resolveTimeZone(timeZone);
+    const { start, end } = getLocalDateRange(days, zone);
+    const daily = await getDailyAggregates(userId, { start, end, timeZone: zone });
+
+    const correlations = CORRELATION_PAIRS.map(pair => {
+      const causes = daily[pair.cause] || new Map();
+      const effects = daily[pair.effect] || new Map();
+
+      const xs = [];
+      const ys = [];
+      for (const [day, value] of causes) {
+        const effect = effects.get(shiftDay(day, pair.lag));
+        if (effect !== undefined) {
+          xs.push(value);
+          ys.push(effect);
+        }
+      }
+
+      const result = {
+        cause: pair.cause,
+        effect: pair.effect,
+        lagDays: pair.lag,
+        sampleCount: xs.length,
+        coefficient: null,
+        confidenceInterval: null,
+        effectSize: null,
+        sufficientData: false,
+        significant: false,
+        statement: null
+      };
+
+      if (xs.length < MIN_PAIRED_DAYS) return result;
+
+      const stats = spearman(xs, ys);
+      if (!stats) return result;
+
+      const round = (value) => Math.round(value * 100) / 100;
+      result.coefficient = round(stats.r);
+      result.confidenceInterval = stats.confidenceInterval.map(round);
+      result.effectSize = describeEffectSize(stats.r);
+      result.sufficientData = true;
+
+      const [low, high] = stats.confidenceInterval;
+      result.significant = low > 0 || high < 0;
+
+      if (result.significant && Math.abs(stats.r) >= MIN_EFFECT_SIZE) {
+        const when = pair.when.charAt(0).toUpperCase() + pair.when.slice(1);
+        result.statement = `${when}, ${pair.outcome} tends to be ${stats.r > 0 ? 'higher' : 'lower'} ` +
+          `(${result.effectSize} effect, r = ${result.coefficient}, ${xs.length} days).`;
+      }
+
+      return result;
+    });
+
+    // Strongest supported findings first
+    correlations.sort((a, b) =>
+      (b.significant - a.significant) || (Math.abs(b.coefficient || 0) - Math.abs(a.coefficient || 0))
+    );
+
+    return {
+      days,
+      timeZone: zone,
+      minimumSampleCount: MIN_PAIRED_DAYS,
+      note: 'These are patterns in your own data, not proof that one thing causes another.',
+      correlations,
+      statements: correlations.map(c => c.statement).filter(Boolean)
+    };
+  } catch (error) {
+    logger.error('Get correlation insights error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  CORRELATION_PAIRS,
+  getCorrelationInsights
+};
\ No newline at end of file
@@ -268,6 +268,54 @@ const sendWaterReminder = async (userId) => {
   }
 };
 
+/**
+ * Send sleep reminder ahead of the user's typical bedtime
+ */
+const sendSleepReminder = async (userId, bedtime) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user || !user.notifications.sleep) return;
+
+    await createNotification({
+      userId,
+      type: 'sleep_reminder',
+      title: '😴 Time to Wind Down',
+      message: `You usually go to bed around ${bedtime}. Put the screens away and start getting ready for bed.`,
+      actionUrl: `${process.env.FRONTEND_URL}/sleep`,
+      actionText: 'View Sleep',
+      priority: 'low',
+      deliveryMethod: 'in_app'
+    });
+  } catch (error) {
+    logger.error('Send sleep reminder error:', error);
+  }
+};
+
+/**
+ * Alert a user about a hypertensive-crisis blood pressure reading.
+ * Sent regardless of reminder preferences.
+ */
+const sendBloodPressureAlert = async (userId, reading) => {
+  try {
+    const { systolic, diastolic } = reading.additionalData;
+
+    await createNotification({
+      userId,
+      type: 'health_alert',
+      title: '🚨 Very high blood pressure reading',
+      message: `Your reading of ${systolic}/${diastolic} mmHg is in the hypertensive crisis range. Wait a few minutes and measure again. If it is still this high, or you have chest pain, shortness of breath, back pain, numbness, weakness, vision changes or difficulty speaking, call emergency services now.`,
+      relatedId: reading._id,
+      relatedModel: 'BiometricData',
+      actionUrl: `${process.env.FRONTEND_URL}/biometrics/blood_pressure`,
+      actionText: 'View Reading',
+      priority: 'high',
+      deliveryMethod: 'email'
+    });
+  } catch (error) {
+    logger.error('Send blood pressure alert error:', error);
+  }
+};
+
 module.exports = {
   createNotification,
   getUserNotifications,
@@ -277,5 +325,7 @@ module.exports = {
   deleteReadNotifications,
   sendWorkoutReminder,
   sendMealReminder,
-  sendWaterReminder
+  sendWaterReminder,
+  sendSleepReminder,
+  sendBloodPressureAlert
 };
\ No newline at end of file
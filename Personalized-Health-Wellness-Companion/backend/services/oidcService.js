@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const OidcAuthRequest = require('../models/OidcAuthRequest');
+const {
+  getProvider,
+  getDiscoveryDocument,
+  getSigningKeys
+} = require('../config/oidc');
+const logger = require('../utils/logger');
+
+const AUTH_REQUEST_EXPIRE_MINUTES = 10;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * Error carrying an HTTP status for the error handler
+ */
+const oidcError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Look up a configured provider or fail with 404
+ */
+const requireProvider = (providerName) => {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    throw oidcError(`Unknown login provider '${providerName}'`, 404);
+  }
+  return provider;
+};
+
+/**
+ * Start an authorization-code + PKCE flow and return the URL to send the user to
+ */
+const createAuthorizationUrl = async (providerName) => {
+  try {
+    const provider = requireProvider(providerName);
+    const discovery = await getDiscoveryDocument(provider);
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(48));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await OidcAuthRequest.create({
+      state,
+      provider: provider.name,
+      codeVerifier,
+      nonce,
+      expiresAt: new Date(Date.now() + AUTH_REQUEST_EXPIRE_MINUTES * 60 * 1000)
+    });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: provider.redirectUri,
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return `${discovery.authorization_endpoint}?${params.toString()}`;
+  } catch (error) {
+    logger.error('Create OIDC authorization URL error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Verify an ID token's signature and standard claims
+ */
+const verifyIdToken = async (idToken, { provider, discovery, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw oidcError('Provider returned an invalid ID token', 401);
+
+  const { kid } = decoded.header;
+  const findKey = keys => keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  let jwk = findKey(await getSigningKeys(discovery.jwks_uri));
+  if (!jwk) {
+    jwk = findKey(await getSigningKeys(discovery.jwks_uri, { refresh: true }));
+  }
+  if (!jwk) throw oidcError('ID token signing key not found', 401);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: discovery.issuer,
+      audience: provider.clientId
+    });
+  } catch (err) {
+    throw oidcError(`ID token rejected: ${err.message}`, 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError('ID token nonce mismatch', 401);
+  }
+
+  return claims;
+};
+
+/**
+ * Finish the flow: consume the pending request, exchange the code
+ * and return the verified ID token claims
+ */
+const completeAuthorization = async (providerName, { code, state }) => {
+  try {
+    const provider = requireProvider(providerName);
+
+    // Each state value can only be used once
+    const authRequest = await OidcAuthRequest.findOneAndDelete({ state, provider: provider.name });
+
+    if (!authRequest || authRequest.expiresAt <= new Date()) {
+      throw oidcError('Login request is invalid or expired. Please try again.');
+    }
+
+    const discovery = await getDiscoveryDocument(provider);
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: authRequest.codeVerifier
+    });
+    if (provider.clientSecret) {
+      body.set('client_secret', provider.clientSecret);
+    }
+
+    let tokenResponse;
+    try {
+      ({ data: tokenResponse } = await axios.post(discovery.token_endpoint, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+      }));
+    } catch (err) {
+      logger.warn(`OIDC code exchange failed for ${provider.name}: ${err.response?.data?.error || err.message}`);
+      throw oidcError('Could not complete login with the provider', 401);
+    }
+
+    if (!tokenResponse.id_token) {
+      throw oidcError('Provider did not return an ID token', 401);
+    }
+
+    const claims = await verifyIdToken(tokenResponse.id_token, {
+      provider,
+      discovery,
+      nonce: authRequest.nonce
+    });
+
+    return { provider: provider.name, claims };
+  } catch (error) {
+    logger.error('Complete OIDC authorization error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find the user for an external identity, linking by verified email
+ * (on both sides) or creating a new account whose profile still needs completing
+ */
+const findOrCreateUser = async (providerName, claims) => {
+  try {
+    const { sub, email, name } = claims;
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+    // Already linked
+    const linkedUser = await User.findOne({
+      identities: { $elemMatch: { provider: providerName, subject: sub } }
+    });
+    if (linkedUser) return { user: linkedUser, created: false, linked: false };
+
+    if (!email) {
+      throw oidcError('The provider did not share an email address');
+    }
+
+    const normalizedEmail = email.toLowerCase();
+    const existingUser = await User.findOne({ email: normalizedEmail });
+
+    if (existingUser) {
+      // Only link on a verified address, otherwise anyone could claim the account
+      if (!emailVerified) {
+        throw oidcError('An account with this email already exists. Sign in with your password to link this provider.', 409);
+      }
+
+      // An unverified local account may have been registered by someone else
+      // with this address; linking would leave their password working
+      if (!existingUser.isEmailVerified) {
+        throw oidcError('An account with this email already exists but is not verified. Verify your email address, then sign in with this provider again.', 409);
+      }
+
+      existingUser.identities.push({ provider: providerName, subject: sub, email: normalizedEmail });
+      await existingUser.save({ validateBeforeSave: false });
+
+      logger.info(`🔗 Linked ${providerName} identity to user ${existingUser._id}`);
+      return { user: existingUser, created: false, linked: true };
+    }
+
+    const user = await User.create({
+      name: (name || normalizedEmail.split('@')[0]).slice(0, 50),
+      email: normalizedEmail,
+      isEmailVerified: emailVerified,
+      profileCompleted: false,
+      identities: [{ provider: providerName, subject: sub, email: normalizedEmail }]
+    });
+
+    logger.info(`👤 Created user ${user._id} from ${providerName} login`);
+    return { user, created: true, linked: false };
+  } catch (error) {
+    logger.error('Find or create OIDC user error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createAuthorizationUrl,
+  completeAuthorization,
+  findOrCreateUser
+};
\ No newline at end of file
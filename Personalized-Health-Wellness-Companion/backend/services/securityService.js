@@ -0,0 +1,196 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const sendEmail = require('../utils/sendEmail');
+const { parseUserAgent } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.MAX_FAILED_LOGIN_ATTEMPTS) || 5;
+const BASE_LOCK_MINUTES = 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+const SUSPICIOUS_FAILURE_COUNT = 3;
+
+/**
+ * Lock duration for the nth lockout (exponential backoff, capped at 24h)
+ */
+const getLockDurationMinutes = (lockoutCount) => {
+  return Math.min(BASE_LOCK_MINUTES * 2 ** Math.max(lockoutCount - 1, 0), MAX_LOCK_MINUTES);
+};
+
+/**
+ * Send a security alert email
+ */
+const sendSecurityAlert = async (user, { title, message, meta = {} }) => {
+  try {
+    const device = parseUserAgent(meta.userAgent);
+
+    await sendEmail({
+      email: user.email,
+      subject: `Security alert: ${title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0;">${title}</h1>
+          </div>
+          <div style="padding: 30px; background: #f8f9fa;">
+            <h2 style="color: #333;">Hi ${user.name},</h2>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">${message}</p>
+            <ul style="color: #666; font-size: 14px; line-height: 1.8;">
+              <li>Device: ${device.browser} on ${device.platform}</li>
+              <li>IP address: ${meta.ip || 'Unknown'}</li>
+              <li>Time: ${new Date().toUTCString()}</li>
+            </ul>
+            <p style="color: #999; font-size: 14px;">
+              If this wasn't you, reset your password immediately and review your active sessions.
+            </p>
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}/settings/security"
+                 style="background: #667eea; color: white; padding: 12px 30px;
+                        text-decoration: none; border-radius: 5px; display: inline-block;">
+                Review Security Settings
+              </a>
+            </div>
+          </div>
+        </div>
+      `
+    });
+  } catch (error) {
+    logger.error('Send security alert error:', error);
+  }
+};
+
+/**
+ * Record a failed login attempt, locking the account once the
+ * threshold is reached. Returns the lock expiry when a lock was applied.
+ */
+const recordFailedLogin = async (user, meta = {}) => {
+  try {
+    // Count atomically so parallel guesses cannot overwrite each other
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      {
+        $inc: { failedLoginAttempts: 1 },
+        $set: { lastFailedLoginAt: new Date() }
+      },
+      { new: true }
+    ).select('failedLoginAttempts lastFailedLoginAt lockoutCount lockUntil');
+
+    if (!updated) return null;
+
+    let lockedUntil = null;
+
+    if (updated.failedLoginAttempts >= MAX_FAILED_ATTEMPTS) {
+      // Only the request that still sees the threshold reached applies the lock
+      const locked = await User.findOneAndUpdate(
+        { _id: user._id, failedLoginAttempts: { $gte: MAX_FAILED_ATTEMPTS } },
+        {
+          $set: { failedLoginAttempts: 0 },
+          $inc: { lockoutCount: 1 }
+        },
+        { new: true }
+      ).select('lockoutCount');
+
+      if (locked) {
+        lockedUntil = new Date(Date.now() + getLockDurationMinutes(locked.lockoutCount) * 60 * 1000);
+        await User.updateOne({ _id: user._id }, { $set: { lockUntil: lockedUntil } });
+
+        updated.failedLoginAttempts = 0;
+        updated.lockoutCount = locked.lockoutCount;
+        updated.lockUntil = lockedUntil;
+      }
+    }
+
+    // Keep the caller's document in step with the stored counters
+    user.failedLoginAttempts = updated.failedLoginAttempts;
+    user.lastFailedLoginAt = updated.lastFailedLoginAt;
+    user.lockoutCount = updated.lockoutCount;
+    user.lockUntil = updated.lockUntil;
+
+    if (lockedUntil) {
+      logger.warn(`🔒 Locked account ${user._id} until ${lockedUntil.toISOString()}`);
+      await sendSecurityAlert(user, {
+        title: 'Account temporarily locked',
+        message: `We locked your account after ${MAX_FAILED_ATTEMPTS} failed sign-in attempts. You can try again after ${lockedUntil.toUTCString()}.`,
+        meta
+      });
+    }
+
+    return lockedUntil;
+  } catch (error) {
+    logger.error('Record failed login error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether this login comes from a device the user hasn't signed in from before
+ */
+const isNewDevice = async (userId, meta = {}) => {
+  const { platform, browser } = parseUserAgent(meta.userAgent);
+
+  const hasHistory = await Session.exists({ userId });
+  if (!hasHistory) return false;
+
+  const knownDevice = await Session.exists({
+    userId,
+    'deviceInfo.platform': platform,
+    'deviceInfo.browser': browser
+  });
+
+  return !knownDevice;
+};
+
+/**
+ * Record a successful login: alert on new devices or after repeated
+ * failures, then reset the failure counters (the caller saves the user)
+ */
+const recordSuccessfulLogin = async (user, meta = {}) => {
+  try {
+    const recentFailures = user.failedLoginAttempts || 0;
+    const newDevice = await isNewDevice(user._id, meta);
+
+    if (newDevice) {
+      await sendSecurityAlert(user, {
+        title: 'New sign-in to your account',
+        message: 'Your account was just accessed from a device we haven\'t seen before.',
+        meta
+      });
+    } else if (recentFailures >= SUSPICIOUS_FAILURE_COUNT) {
+      await sendSecurityAlert(user, {
+        title: 'Sign-in after failed attempts',
+        message: `Your account was accessed after ${recentFailures} failed sign-in attempts.`,
+        meta
+      });
+    }
+
+    user.failedLoginAttempts = 0;
+    user.lockoutCount = 0;
+    user.lockUntil = undefined;
+  } catch (error) {
+    logger.error('Record successful login error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Clear a lockout (admin action)
+ */
+const unlockAccount = async (user) => {
+  try {
+    user.failedLoginAttempts = 0;
+    user.lockoutCount = 0;
+    user.lockUntil = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`🔓 Unlocked account ${user._id}`);
+    return user;
+  } catch (error) {
+    logger.error('Unlock account error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount
+};
\ No newline at end of file
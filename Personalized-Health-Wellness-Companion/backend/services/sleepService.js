@@ -0,0 +1,267 @@
+const SleepSession = require('../models/SleepSession');
+const BiometricData = require('../models/BiometricData');
+const User = require('../models/User');
+const { sendSleepReminder } = require('./notificationService');
+const { syncMetricGoals } = require('./goalService');
+const { resolveTimeZone, getZonedParts, getLocalDateRange, formatLocalDay } = require('../utils/timezone');
+const { toMinutesAfterNoon, fromMinutesAfterNoon, formatClockTime } = require('../utils/sleep');
+const logger = require('../utils/logger');
+
+const SCHEDULE_WINDOW_DAYS = 30;
+const SCHEDULE_SIZE = 14;
+const MIN_SCHEDULE_SESSIONS = 3;
+const SLEEP_DEBT_DAYS = 14;
+const REMINDER_LEAD_MINUTES = 30;
+const REMINDER_INTERVAL_MINUTES = 15;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const standardDeviation = (values) => {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((total, value) => total + (value - mean) ** 2, 0) / values.length);
+};
+
+/**
+ * Create or update the sleep_duration reading for a session so stats,
+ * insights and goals built on sleep_duration include it
+ */
+const syncSleepEntry = async (session) => {
+  const hours = Math.round(session.asleepMinutes / 60 * 100) / 100;
+  const entry = session.biometricEntryId
+    ? await BiometricData.findById(session.biometricEntryId)
+    : null;
+
+  if (entry) {
+    entry.value = hours;
+    entry.unit = 'hours';
+    entry.date = session.wakeTime;
+    await entry.save();
+    return entry;
+  }
+
+  const created = await BiometricData.create({
+    userId: session.userId,
+    type: 'sleep_duration',
+    value: hours,
+    unit: 'hours',
+    date: session.wakeTime,
+    notes: 'From sleep session',
+    source: session.source
+  });
+
+  session.biometricEntryId = created._id;
+  await session.save();
+  return created;
+};
+
+/**
+ * Learn the user's typical bedtime and wake time (medians of recent
+ * sessions, in local time). Cleared when there are too few sessions.
+ */
+const updateSleepSchedule = async (user) => {
+  try {
+    const timeZone = resolveTimeZone(user.timezone);
+    const since = new Date(Date.now() - SCHEDULE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const sessions = await SleepSession.find({ userId: user._id, wakeTime: { $gte: since } })
+      .sort({ wakeTime: -1 })
+      .limit(SCHEDULE_SIZE)
+      .select('bedtime wakeTime')
+      .lean();
+
+    const update = sessions.length >= MIN_SCHEDULE_SESSIONS
+      ? {
+        'sleepSchedule.typicalBedtime': fromMinutesAfterNoon(
+          median(sessions.map(s => toMinutesAfterNoon(getZonedParts(s.bedtime, timeZone))))
+        ),
+        'sleepSchedule.typicalWakeTime': fromMinutesAfterNoon(
+          median(sessions.map(s => toMinutesAfterNoon(getZonedParts(s.wakeTime, timeZone))))
+        )
+      }
+      : { $unset: { 'sleepSchedule.typicalBedtime': 1, 'sleepSchedule.typicalWakeTime': 1 } };
+
+    await User.findByIdAndUpdate(user._id, update);
+  } catch (error) {
+    logger.error('Update sleep schedule error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Score and save a session, then bring the sleep_duration reading,
+ * sleep goals and learned schedule up to date
+ */
+const saveSleepSession = async (user, session) => {
+  try {
+    await session.validate();
+    session.applyScore(user.sleepGoalHours);
+    await session.save();
+
+    await syncSleepEntry(session);
+    await syncMetricGoals(user._id, 'sleep_duration');
+    await updateSleepSchedule(user);
+
+    return session;
+  } catch (error) {
+    logger.error('Save sleep session error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a session together with its sleep_duration reading
+ */
+const removeSleepSession = async (user, session) => {
+  try {
+    if (session.biometricEntryId) {
+      await BiometricData.deleteOne({ _id: session.biometricEntryId });
+    }
+    await session.deleteOne();
+
+    await syncMetricGoals(user._id, 'sleep_duration');
+    await updateSleepSchedule(user);
+  } catch (error) {
+    logger.error('Remove sleep session error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Sleep debt over recent nights. Each night adds (target - slept); extra
+ * sleep pays debt back, but the balance never goes below zero, so
+ * sleep can't be banked ahead. Nights without a session are skipped.
+ */
+const calculateSleepDebt = (sessions, targetHours, timeZone) => {
+  const sleptByDay = new Map();
+  for (const session of sessions) {
+    const day = formatLocalDay(session.wakeTime, timeZone);
+    sleptByDay.set(day, (sleptByDay.get(day) || 0) + session.asleepMinutes);
+  }
+
+  let balance = 0;
+  for (const day of [...sleptByDay.keys()].sort()) {
+    balance = Math.max(balance + targetHours * 60 - sleptByDay.get(day), 0);
+  }
+
+  return {
+    targetHours,
+    hours: Math.round(balance / 60 * 10) / 10,
+    nights: sleptByDay.size
+  };
+};
+
+/**
+ * Spread of bedtimes and wake times (standard deviation in minutes) and
+ * a 0-100 consistency score; an average spread of 90 minutes scores 0
+ */
+const calculateConsistency = (sessions, timeZone) => {
+  if (sessions.length < MIN_SCHEDULE_SESSIONS) {
+    return { bedtimeStdDevMinutes: null, wakeTimeStdDevMinutes: null, score: null };
+  }
+
+  const bedtimeSpread = standardDeviation(sessions.map(s => toMinutesAfterNoon(getZonedParts(s.bedtime, timeZone))));
+  const wakeSpread = standardDeviation(sessions.map(s => toMinutesAfterNoon(getZonedParts(s.wakeTime, timeZone))));
+
+  return {
+    bedtimeStdDevMinutes: Math.round(bedtimeSpread),
+    wakeTimeStdDevMinutes: Math.round(wakeSpread),
+    score: Math.max(Math.round(100 - (bedtimeSpread + wakeSpread) / 2 / 90 * 100), 0)
+  };
+};
+
+/**
+ * Averages, consistency and sleep debt for sessions ending in the
+ * last `days` local days
+ */
+const getSleepStats = async (user, { days = 14 } = {}) => {
+  try {
+    const timeZone = resolveTimeZone(user.timezone);
+    const { start, end } = getLocalDateRange(Math.max(days, SLEEP_DEBT_DAYS), timeZone);
+
+    const recent = await SleepSession.find({
+      userId: user._id,
+      wakeTime: { $gte: start, $lt: end }
+    }).sort({ wakeTime: 1 });
+
+    const { start: periodStart } = getLocalDateRange(days, timeZone);
+    const sessions = recent.filter(s => s.wakeTime >= periodStart);
+    const { start: debtStart } = getLocalDateRange(SLEEP_DEBT_DAYS, timeZone);
+
+    const average = (values) => (values.length > 0
+      ? Math.round(values.reduce((a, b) => a + b, 0) / values.length * 10) / 10
+      : null);
+
+    const { typicalBedtime, typicalWakeTime } = user.sleepSchedule || {};
+
+    return {
+      days,
+      sessionCount: sessions.length,
+      averages: {
+        asleepHours: average(sessions.map(s => s.asleepMinutes / 60)),
+        timeInBedHours: average(sessions.map(s => s.timeInBedMinutes / 60)),
+        efficiency: average(sessions.map(s => s.efficiency)),
+        score: average(sessions.map(s => s.score)),
+        awakenings: average(sessions.map(s => s.awakenings))
+      },
+      consistency: calculateConsistency(sessions, timeZone),
+      sleepDebt: calculateSleepDebt(
+        recent.filter(s => s.wakeTime >= debtStart),
+        user.sleepGoalHours || 8,
+        timeZone
+      ),
+      typicalBedtime: typicalBedtime === undefined ? null : formatClockTime(typicalBedtime),
+      typicalWakeTime: typicalWakeTime === undefined ? null : formatClockTime(typicalWakeTime)
+    };
+  } catch (error) {
+    logger.error('Get sleep stats error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remind users to wind down ahead of their typical bedtime. Meant to
+ * run every REMINDER_INTERVAL_MINUTES; returns how many were sent.
+ */
+const sendDueSleepReminders = async (now = new Date()) => {
+  try {
+    const users = await User.find({
+      accountStatus: 'active',
+      'notifications.sleep': true,
+      'sleepSchedule.typicalBedtime': { $exists: true }
+    }).select('timezone sleepSchedule');
+
+    const recentlyReminded = now.getTime() - 12 * 60 * 60 * 1000;
+    let sent = 0;
+
+    for (const user of users) {
+      const { typicalBedtime, lastReminderAt } = user.sleepSchedule;
+      if (lastReminderAt && lastReminderAt.getTime() > recentlyReminded) continue;
+
+      const { hour, minute } = getZonedParts(now, user.timezone);
+      const reminderAt = (typicalBedtime - REMINDER_LEAD_MINUTES + 1440) % 1440;
+      const sinceReminder = (hour * 60 + minute - reminderAt + 1440) % 1440;
+      if (sinceReminder >= REMINDER_INTERVAL_MINUTES) continue;
+
+      await sendSleepReminder(user._id, formatClockTime(typicalBedtime));
+      await User.findByIdAndUpdate(user._id, { 'sleepSchedule.lastReminderAt': now });
+      sent++;
+    }
+
+    return sent;
+  } catch (error) {
+    logger.error('Send sleep reminders error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  saveSleepSession,
+  removeSleepSession,
+  updateSleepSchedule,
+  getSleepStats,
+  sendDueSleepReminders
+};
\ No newline at end of file
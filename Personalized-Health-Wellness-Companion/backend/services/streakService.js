@@ -2,7 +2,8 @@ const User = require('../models/User');
 const WorkoutPlan = require('../models/WorkoutPlan');
 const ActivityLog = require('../models/ActivityLog');
 const Notification = require('../models/Notification');
-const { startOfDay, endOfDay, subDays } = require('date-fns');
+const { subDays } = require('date-fns');
+const { getDayBounds, differenceInLocalDays, resolveTimeZone } = require('../utils/timezone');
 const logger = require('../utils/logger');
 
 /**
@@ -13,34 +14,34 @@ const updateWorkoutStreak = async (userId) => {
     const user = await User.findById(userId);
     if (!user) throw new Error('User not found');
 
-    const today = startOfDay(new Date());
-    const yesterday = startOfDay(subDays(today, 1));
+    // Days follow the user's time zone
+    const now = new Date();
+    const today = getDayBounds(now, user.timezone);
+    const yesterday = getDayBounds(now, user.timezone, -1);
 
     // Check if workout was logged today
-    const todayWorkout = await ActivityLog.findOne({
+    const todayWorkout = await ActivityLog.findOne(ActivityLog.occurredWithin({
       userId,
-      activityType: 'workout_completed',
-      createdAt: {
-        $gte: today,
-        $lte: endOfDay(new Date())
-      }
-    });
+      activityType: 'workout_completed'
+    }, {
+      $gte: today.start,
+      $lt: today.end
+    }));
 
     // If already logged today, don't update
-    if (user.lastWorkoutDate && 
-        startOfDay(user.lastWorkoutDate).getTime() === today.getTime()) {
+    if (user.lastWorkoutDate &&
+        differenceInLocalDays(now, user.lastWorkoutDate, user.timezone) === 0) {
       return user.currentWorkoutStreak;
     }
 
     // Check if there was a workout yesterday
-    const yesterdayWorkout = await ActivityLog.findOne({
+    const yesterdayWorkout = await ActivityLog.findOne(ActivityLog.occurredWithin({
       userId,
-      activityType: 'workout_completed',
-      createdAt: {
-        $gte: yesterday,
-        $lte: endOfDay(yesterday)
-      }
-    });
+      activityType: 'workout_completed'
+    }, {
+      $gte: yesterday.start,
+      $lt: yesterday.end
+    }));
 
     if (todayWorkout) {
       if (yesterdayWorkout || !user.lastWorkoutDate) {
@@ -111,13 +112,8 @@ const checkAndResetStreak = async (userId) => {
     const user = await User.findById(userId);
     if (!user || !user.lastWorkoutDate) return;
 
-    const today = startOfDay(new Date());
-    const lastWorkout = startOfDay(user.lastWorkoutDate);
-    
-    // Calculate days since last workout
-    const daysSinceLastWorkout = Math.floor(
-      (today - lastWorkout) / (1000 * 60 * 60 * 24)
-    );
+    // Calculate calendar days since last workout in the user's time zone
+    const daysSinceLastWorkout = differenceInLocalDays(new Date(), user.lastWorkoutDate, user.timezone);
 
     // If more than 1 day gap, reset streak
     if (daysSinceLastWorkout > 1 && user.currentWorkoutStreak > 0) {
@@ -157,11 +153,10 @@ const getStreakStats = async (userId) => {
 
     // Get workout frequency (last 30 days)
     const thirtyDaysAgo = subDays(new Date(), 30);
-    const recentWorkouts = await ActivityLog.countDocuments({
+    const recentWorkouts = await ActivityLog.countDocuments(ActivityLog.occurredWithin({
       userId,
-      activityType: 'workout_completed',
-      createdAt: { $gte: thirtyDaysAgo }
-    });
+      activityType: 'workout_completed'
+    }, { $gte: thirtyDaysAgo }));
 
     const frequency = ((recentWorkouts / 30) * 100).toFixed(1);
 
@@ -191,29 +186,32 @@ const getStreakStats = async (userId) => {
  */
 const getStreakHistory = async (userId, days = 30) => {
   try {
-    const startDate = startOfDay(subDays(new Date(), days));
-    const endDate = endOfDay(new Date());
+    const user = await User.findById(userId).select('timezone');
+    const timeZone = resolveTimeZone(user?.timezone);
+    const now = new Date();
 
-    const workouts = await ActivityLog.find({
+    const workouts = await ActivityLog.find(ActivityLog.occurredWithin({
       userId,
-      activityType: 'workout_completed',
-      createdAt: { $gte: startDate, $lte: endDate }
-    }).sort({ createdAt: 1 });
+      activityType: 'workout_completed'
+    }, {
+      $gte: getDayBounds(now, timeZone, -(days - 1)).start,
+      $lt: getDayBounds(now, timeZone).end
+    }));
 
-    // Create array of all dates
+    // Create array of all dates (calendar days in the user's time zone)
     const history = [];
     for (let i = 0; i < days; i++) {
-      const date = subDays(new Date(), days - 1 - i);
-      const dateStr = startOfDay(date).toISOString();
-      
-      const hasWorkout = workouts.some(w => 
-        startOfDay(w.createdAt).getTime() === startOfDay(date).getTime()
-      );
+      const { start, end } = getDayBounds(now, timeZone, -(days - 1 - i));
+
+      const hasWorkout = workouts.some(w => {
+        const occurredAt = w.occurredAt || w.createdAt;
+        return occurredAt >= start && occurredAt < end;
+      });
 
       history.push({
-        date: dateStr,
+        date: start.toISOString(),
         hasWorkout,
-        dayOfWeek: date.toLocaleDateString('en-US', { weekday: 'short' })
+        dayOfWeek: start.toLocaleDateString('en-US', { weekday: 'short', timeZone })
       });
     }
 
@@ -0,0 +1,157 @@
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const { parseUserAgent } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Extract client details used to label issued tokens
+ */
+const getClientMeta = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+/**
+ * Start a new login session and issue a short-lived access token
+ * and a refresh token bound to it
+ */
+const issueAuthTokens = async (user, meta = {}) => {
+  try {
+    const expiresAt = RefreshToken.getExpiryDate();
+
+    const session = await Session.create({
+      userId: user._id,
+      userAgent: meta.userAgent,
+      deviceInfo: {
+        ...parseUserAgent(meta.userAgent),
+        ipAddress: meta.ip
+      },
+      expiresAt
+    });
+
+    const token = user.getSignedJwtToken(session._id);
+    const refreshToken = await RefreshToken.generate(user._id, {
+      ...meta,
+      sessionId: session._id,
+      expiresAt
+    });
+
+    return { token, refreshToken, session };
+  } catch (error) {
+    logger.error('Issue auth tokens error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ * Returns null when the token is unknown, expired or revoked.
+ */
+const rotateRefreshToken = async (rawToken, meta = {}) => {
+  try {
+    const tokenHash = RefreshToken.hashToken(rawToken);
+
+    // Claim the token atomically so concurrent refreshes cannot both succeed
+    const existing = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!existing) {
+      const claimed = await RefreshToken.findOne({ tokenHash });
+
+      // A revoked token being replayed means it leaked - kill every session
+      if (claimed && claimed.revokedAt) {
+        logger.warn(`⚠️ Refresh token reuse detected for user ${claimed.userId}`);
+        await revokeAllSessions(claimed.userId);
+      }
+      return null;
+    }
+
+    const user = await User.findById(existing.userId);
+    if (!user || user.accountStatus !== 'active') return null;
+
+    // The device session must still be live
+    const session = await Session.findById(existing.sessionId);
+    if (!session || !session.isActive) return null;
+
+    const expiresAt = RefreshToken.getExpiryDate();
+    const token = user.getSignedJwtToken(session._id);
+    const refreshToken = await RefreshToken.generate(user._id, {
+      ...meta,
+      sessionId: session._id,
+      expiresAt
+    });
+
+    existing.replacedByHash = RefreshToken.hashToken(refreshToken);
+    await existing.save();
+
+    session.lastSeenAt = new Date();
+    session.expiresAt = expiresAt;
+    session.deviceInfo.ipAddress = meta.ip || session.deviceInfo.ipAddress;
+    await session.save();
+
+    return { user, token, refreshToken };
+  } catch (error) {
+    logger.error('Rotate refresh token error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke every outstanding session for a user.
+ * Bumps tokenVersion so existing access tokens fail `protect`,
+ * and revokes all refresh tokens.
+ */
+const revokeAllSessions = async (userId) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $inc: { tokenVersion: 1 } },
+      { new: true }
+    ).select('tokenVersion');
+
+    await RefreshToken.revokeAllForUser(userId);
+    await Session.updateMany(
+      { userId, revokedAt: { $exists: false } },
+      { revokedAt: new Date() }
+    );
+
+    logger.info(`🔒 Revoked all sessions for user ${userId}`);
+    return user ? user.tokenVersion : null;
+  } catch (error) {
+    logger.error('Revoke sessions error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a single device session belonging to a user.
+ * Returns false when the session does not exist or is already revoked.
+ */
+const revokeSession = async (userId, sessionId) => {
+  try {
+    const session = await Session.findOne({ _id: sessionId, userId });
+    if (!session || session.revokedAt) return false;
+
+    session.revokedAt = new Date();
+    await session.save();
+    await RefreshToken.revokeAllForSession(session._id);
+
+    logger.info(`🔒 Revoked session ${sessionId} for user ${userId}`);
+    return true;
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getClientMeta,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeAllSessions,
+  revokeSession
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+const {
+  getDayBounds,
+  getLocalDateRange,
+  differenceInLocalDays
+} = require('../../utils/timezone');
+
+const HOUR = 60 * 60 * 1000;
+
+const hoursBetween = ({ start, end }) => (end - start) / HOUR;
+
+describe('getDayBounds', () => {
+  it('returns local midnight to local midnight in Asia/Tokyo', () => {
+    // 21:00 on 8 March in Tokyo (UTC+9, no DST)
+    const bounds = getDayBounds(new Date('2026-03-08T12:00:00Z'), 'Asia/Tokyo');
+
+    expect(bounds.start.toISOString()).toBe('2026-03-07T15:00:00.000Z');
+    expect(bounds.end.toISOString()).toBe('2026-03-08T15:00:00.000Z');
+    expect(hoursBetween(bounds)).toBe(24);
+  });
+
+  it('uses the local day, not the UTC day, near midnight', () => {
+    // 23:30 UTC on 7 March is already 8 March in Tokyo
+    const bounds = getDayBounds(new Date('2026-03-07T23:30:00Z'), 'Asia/Tokyo');
+
+    expect(bounds.start.toISOString()).toBe('2026-03-07T15:00:00.000Z');
+  });
+
+  it('returns a 23-hour day when New York springs forward', () => {
+    const bounds = getDayBounds(new Date('2026-03-08T12:00:00Z'), 'America/New_York');
+
+    expect(bounds.start.toISOString()).toBe('2026-03-08T05:00:00.000Z');
+    expect(bounds.end.toISOString()).toBe('2026-03-09T04:00:00.000Z');
+    expect(hoursBetween(bounds)).toBe(23);
+  });
+
+  it('returns a 25-hour day when New York falls back', () => {
+    const bounds = getDayBounds(new Date('2026-11-01T12:00:00Z'), 'America/New_York');
+
+    expect(bounds.start.toISOString()).toBe('2026-11-01T04:00:00.000Z');
+    expect(bounds.end.toISOString()).toBe('2026-11-02T05:00:00.000Z');
+    expect(hoursBetween(bounds)).toBe(25);
+  });
+
+  it('returns a 25-hour day when Sydney falls back', () => {
+    const bounds = getDayBounds(new Date('2026-04-05T02:00:00Z'), 'Australia/Sydney');
+
+    expect(bounds.start.toISOString()).toBe('2026-04-04T13:00:00.000Z');
+    expect(bounds.end.toISOString()).toBe('2026-04-05T14:00:00.000Z');
+    expect(hoursBetween(bounds)).toBe(25);
+  });
+
+  it('returns a 23-hour day when Sydney springs forward', () => {
+    const bounds = getDayBounds(new Date('2026-10-04T02:00:00Z'), 'Australia/Sydney');
+
+    expect(bounds.start.toISOString()).toBe('2026-10-03T14:00:00.000Z');
+    expect(bounds.end.toISOString()).toBe('2026-10-04T13:00:00.000Z');
+    expect(hoursBetween(bounds)).toBe(23);
+  });
+
+  it('shifts by whole local days across a DST change', () => {
+    // Yesterday, seen from the Monday after New York springs forward
+    const bounds = getDayBounds(new Date('2026-03-09T16:00:00Z'), 'America/New_York', -1);
+
+    expect(bounds.start.toISOString()).toBe('2026-03-08T05:00:00.000Z');
+    expect(bounds.end.toISOString()).toBe('2026-03-09T04:00:00.000Z');
+  });
+
+  it('falls back to UTC for unknown time zones', () => {
+    const bounds = getDayBounds(new Date('2026-03-08T12:00:00Z'), 'Not/AZone');
+
+    expect(bounds.start.toISOString()).toBe('2026-03-08T00:00:00.000Z');
+    expect(bounds.end.toISOString()).toBe('2026-03-09T00:00:00.000Z');
+  });
+});
+
+describe('getLocalDateRange', () => {
+  it('covers the last N local days in Asia/Tokyo', () => {
+    const range = getLocalDateRange(7, 'Asia/Tokyo', new Date('2026-03-08T12:00:00Z'));
+
+    expect(range.start.toISOString()).toBe('2026-03-01T15:00:00.000Z');
+    expect(range.end.toISOString()).toBe('2026-03-08T15:00:00.000Z');
+    expect(hoursBetween(range)).toBe(7 * 24);
+  });
+
+  it('is an hour shorter across the New York spring-forward change', () => {
+    const range = getLocalDateRange(7, 'America/New_York', new Date('2026-03-10T16:00:00Z'));
+
+    expect(range.start.toISOString()).toBe('2026-03-04T05:00:00.000Z');
+    expect(range.end.toISOString()).toBe('2026-03-11T04:00:00.000Z');
+    expect(hoursBetween(range)).toBe(7 * 24 - 1);
+  });
+
+  it('is an hour longer across the Sydney fall-back change', () => {
+    const range = getLocalDateRange(3, 'Australia/Sydney', new Date('2026-04-06T02:00:00Z'));
+
+    expect(range.start.toISOString()).toBe('2026-04-03T13:00:00.000Z');
+    expect(range.end.toISOString()).toBe('2026-04-06T14:00:00.000Z');
+    expect(hoursBetween(range)).toBe(3 * 24 + 1);
+  });
+
+  it('covers only today for a one-day range', () => {
+    const now = new Date('2026-11-01T12:00:00Z');
+
+    expect(getLocalDateRange(1, 'America/New_York', now))
+      .toEqual(getDayBounds(now, 'America/New_York'));
+  });
+});
+
+describe('differenceInLocalDays', () => {
+  it('counts calendar days in the time zone, not 24-hour periods', () => {
+    // 23:30 and 00:30 the next morning in Tokyo
+    const earlier = new Date('2026-03-08T14:30:00Z');
+    const later = new Date('2026-03-08T15:30:00Z');
+
+    expect(differenceInLocalDays(later, earlier, 'Asia/Tokyo')).toBe(1);
+    expect(differenceInLocalDays(later, earlier, 'UTC')).toBe(0);
+  });
+
+  it('counts the 23-hour New York day as one day', () => {
+    const earlier = new Date('2026-03-08T05:00:00Z'); // 00:00 EST
+    const later = new Date('2026-03-09T04:00:00Z'); // 00:00 EDT
+
+    expect(differenceInLocalDays(later, earlier, 'America/New_York')).toBe(1);
+  });
+
+  it('keeps the extra hour of the New York fall-back day on the same day', () => {
+    const earlier = new Date('2026-11-01T04:00:00Z'); // 00:00 EDT
+    const later = new Date('2026-11-02T04:30:00Z'); // 23:30 EST on 1 November
+
+    expect(differenceInLocalDays(later, earlier, 'America/New_York')).toBe(0);
+    expect(differenceInLocalDays(new Date('2026-11-02T05:00:00Z'), earlier, 'America/New_York')).toBe(1);
+  });
+
+  it('counts whole days across both Sydney changes', () => {
+    const beforeFallBack = new Date('2026-04-04T01:00:00Z'); // 12:00 AEDT on 4 April
+    const afterFallBack = new Date('2026-04-06T02:00:00Z'); // 12:00 AEST on 6 April
+
+    expect(differenceInLocalDays(afterFallBack, beforeFallBack, 'Australia/Sydney')).toBe(2);
+
+    const beforeSpringForward = new Date('2026-10-03T13:59:00Z'); // 23:59 AEST on 3 October
+    const afterSpringForward = new Date('2026-10-03T14:00:00Z'); // 00:00 AEST on 4 October
+
+    expect(differenceInLocalDays(afterSpringForward, beforeSpringForward, 'Australia/Sydney')).toBe(1);
+  });
+
+  it('is negative when the dates are reversed', () => {
+    const earlier = new Date('2026-03-01T00:00:00Z');
+    const later = new Date('2026-03-08T00:00:00Z');
+
+    expect(differenceInLocalDays(earlier, later, 'Asia/Tokyo')).toBe(-7);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * API key scopes take the form `<resource>:<level>`.
+ * `write` implies `read`; `none` (or omitting a resource) denies access.
+ */
+const SCOPE_RESOURCES = [
+  'profile',
+  'biometrics',
+  'goals',
+  'recommendations',
+  'gamification',
+  'community',
+  'notifications',
+  'experts'
+];
+
+const SCOPE_LEVELS = ['none', 'read', 'write'];
+
+const SCOPE_PATTERN = new RegExp(`^(${SCOPE_RESOURCES.join('|')}):(${SCOPE_LEVELS.join('|')})$`);
+
+/**
+ * Check whether a list of scopes grants the requested access
+ */
+const hasScope = (scopes = [], resource, access = 'read') => {
+  const granted = scopes
+    .map(scope => scope.split(':'))
+    .find(([scopeResource]) => scopeResource === resource);
+
+  if (!granted) return false;
+
+  const level = granted[1];
+  if (level === 'write') return true;
+  return level === 'read' && access === 'read';
+};
+
+/**
+ * Map an HTTP method to the access it needs
+ */
+const getRequiredAccess = (method) => {
+  return ['GET', 'HEAD', 'OPTIONS'].includes(method) ? 'read' : 'write';
+};
+
+module.exports = {
+  SCOPE_RESOURCES,
+  SCOPE_LEVELS,
+  SCOPE_PATTERN,
+  hasScope,
+  getRequiredAccess
+};
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * Biometric types every user has
+ */
+const BUILT_IN_TYPES = [
+  'weight',
+  'heart_rate',
+  'sleep_duration',
+  'blood_pressure',
+  'steps',
+  'calories_consumed',
+  'calories_burned',
+  'water_intake',
+  'body_fat',
+  'muscle_mass',
+  'mood',
+  'stress_level',
+  'exercise_duration'
+];
+
+// How built-in readings roll up over a period (daily totals, goals)
+const BUILT_IN_AGGREGATION = {
+  weight: 'last',
+  heart_rate: 'avg',
+  sleep_duration: 'sum',
+  blood_pressure: 'avg',
+  steps: 'sum',
+  calories_consumed: 'sum',
+  calories_burned: 'sum',
+  water_intake: 'sum',
+  body_fat: 'last',
+  muscle_mass: 'last',
+  mood: 'avg',
+  stress_level: 'avg',
+  exercise_duration: 'sum'
+};
+
+// User-defined metrics are stored under a prefixed key, e.g. "custom_glucose"
+const CUSTOM_TYPE_PREFIX = 'custom_';
+const CUSTOM_TYPE_PATTERN = /^custom_[a-z0-9_]{1,40}$/;
+
+const isCustomType = (type) => CUSTOM_TYPE_PATTERN.test(type);
+
+const isValidType = (type) => BUILT_IN_TYPES.includes(type) || isCustomType(type);
+
+/**
+ * Derive the stored type key for a custom metric name
+ */
+const toCustomTypeKey = (name) => {
+  const slug = name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 40);
+
+  return slug ? `${CUSTOM_TYPE_PREFIX}${slug}` : null;
+};
+
+module.exports = {
+  BUILT_IN_TYPES,
+  BUILT_IN_AGGREGATION,
+  CUSTOM_TYPE_PATTERN,
+  isCustomType,
+  isValidType,
+  toCustomTypeKey
+};
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * AHA blood pressure categories, most severe first.
+ * A reading falls into the first category either number qualifies for.
+ */
+const BP_CATEGORIES = [
+  {
+    key: 'hypertensive_crisis',
+    label: 'Hypertensive crisis',
+    matches: (systolic, diastolic) => systolic > 180 || diastolic > 120
+  },
+  {
+    key: 'stage_2',
+    label: 'Hypertension stage 2',
+    matches: (systolic, diastolic) => systolic >= 140 || diastolic >= 90
+  },
+  {
+    key: 'stage_1',
+    label: 'Hypertension stage 1',
+    matches: (systolic, diastolic) => systolic >= 130 || diastolic >= 80
+  },
+  {
+    key: 'elevated',
+    label: 'Elevated',
+    matches: (systolic) => systolic >= 120
+  },
+  {
+    key: 'normal',
+    label: 'Normal',
+    matches: () => true
+  }
+];
+
+const BP_CATEGORY_KEYS = BP_CATEGORIES.map(category => category.key);
+
+/**
+ * Classify a reading into its AHA category key
+ */
+const classifyBloodPressure = (systolic, diastolic) => {
+  return BP_CATEGORIES.find(category => category.matches(systolic, diastolic)).key;
+};
+
+/**
+ * Human readable label for a category key
+ */
+const getBloodPressureLabel = (key) => {
+  const category = BP_CATEGORIES.find(c => c.key === key);
+  return category ? category.label : key;
+};
+
+module.exports = {
+  BP_CATEGORY_KEYS,
+  classifyBloodPressure,
+  getBloodPressureLabel
+};
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * Flatten a nested object into dot-notation keys.
+ * Arrays are kept as JSON so each record stays on one row.
+ */
+const flattenObject = (obj, prefix = '', result = {}) => {
+  for (const [key, value] of Object.entries(obj || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value instanceof Date) {
+      result[path] = value.toISOString();
+    } else if (Array.isArray(value)) {
+      result[path] = JSON.stringify(value);
+    } else if (value && typeof value === 'object' && value.constructor === Object) {
+      flattenObject(value, path, result);
+    } else if (value !== undefined) {
+      result[path] = value;
+    }
+  }
+  return result;
+};
+
+/**
+ * Escape a single CSV cell (RFC 4180)
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Convert an array of plain objects to CSV text
+ */
+const toCSV = (records) => {
+  const rows = records.map(record => flattenObject(record));
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  if (columns.length === 0) return '';
+
+  const lines = [columns.map(escapeCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  }
+
+  return lines.join('\r\n');
+};
+
+/**
+ * Parse CSV text (RFC 4180) into an array of rows, each an array of cells.
+ * Handles quoted cells, escaped quotes, embedded newlines and CRLF/LF endings.
+ */
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark (common in spreadsheet exports)
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+module.exports = {
+  flattenObject,
+  toCSV,
+  parseCSV
+};
\ No newline at end of file
@@ -0,0 +1,204 @@
+const EARTH_RADIUS_METERS = 6371008.8;
+
+// Slower than this between two points counts as stopped
+const MIN_MOVING_SPEED = 0.5; // m/s
+// Elevation changes smaller than this are treated as GPS noise
+const ELEVATION_THRESHOLD = 3; // metres
+const MAX_ROUTE_POINTS = 500;
+
+// Splits are per kilometre on foot and per 5 km on a bike
+const SPLIT_DISTANCE = {
+  cycling: 5000,
+  default: 1000
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points in metres (haversine)
+ */
+const haversineDistance = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(Math.sqrt(h), 1));
+};
+
+const hasPosition = (point) => Number.isFinite(point.lat) && Number.isFinite(point.lon);
+
+/**
+ * Cumulative distance at every point: the device's own figure when it
+ * recorded one, otherwise summed from GPS positions
+ */
+const withCumulativeDistance = (points) => {
+  const useDevice = points.some(point => Number.isFinite(point.distance));
+  let total = 0;
+  let lastPosition = null;
+
+  return points.map(point => {
+    if (useDevice) {
+      if (Number.isFinite(point.distance)) total = Math.max(total, point.distance);
+    } else if (hasPosition(point)) {
+      if (lastPosition) total += haversineDistance(lastPosition, point);
+      lastPosition = point;
+    }
+    return { ...point, cumulative: total };
+  });
+};
+
+/**
+ * Climb and descent with a hysteresis threshold to ignore jitter
+ */
+const calculateElevation = (points) => {
+  let gain = 0;
+  let loss = 0;
+  let anchor;
+
+  for (const { elevation } of points) {
+    if (!Number.isFinite(elevation)) continue;
+    if (anchor === undefined) {
+      anchor = elevation;
+    } else if (elevation - anchor >= ELEVATION_THRESHOLD) {
+      gain += elevation - anchor;
+      anchor = elevation;
+    } else if (anchor - elevation >= ELEVATION_THRESHOLD) {
+      loss += anchor - elevation;
+      anchor = elevation;
+    }
+  }
+
+  return { gain: Math.round(gain), loss: Math.round(loss) };
+};
+
+/**
+ * Average, max and min of the heart rate samples on a set of points
+ */
+const summarizeHeartRate = (points) => {
+  const values = points.map(point => point.heartRate).filter(value => Number.isFinite(value) && value > 0);
+  if (values.length === 0) return null;
+
+  return {
+    average: Math.round(values.reduce((a, b) => a + b, 0) / values.length),
+    max: Math.max(...values),
+    min: Math.min(...values)
+  };
+};
+
+const paceFor = (seconds, meters) => (meters > 0 ? Math.round(seconds / (meters / 1000)) : null);
+const speedFor = (seconds, meters) => (seconds > 0 ? Math.round(meters / seconds * 3.6 * 10) / 10 : null);
+
+/**
+ * Pace, speed, elevation and heart rate for each split distance.
+ * Split times use moving time so stops don't inflate the pace.
+ */
+const calculateSplits = (points, movingFlags, splitDistance) => {
+  const splits = [];
+  let current = { startIndex: 0, movingSeconds: 0, startDistance: 0 };
+
+  const closeSplit = (endIndex, endDistance) => {
+    const slice = points.slice(current.startIndex, endIndex + 1);
+    const distance = endDistance - current.startDistance;
+    const elevation = calculateElevation(slice);
+    const heartRate = summarizeHeartRate(slice);
+
+    splits.push({
+      index: splits.length + 1,
+      distanceMeters: Math.round(distance),
+      movingSeconds: Math.round(current.movingSeconds),
+      paceSecondsPerKm: paceFor(current.movingSeconds, distance),
+      speedKmh: speedFor(current.movingSeconds, distance),
+      elevationGainMeters: elevation.gain,
+      averageHeartRate: heartRate ? heartRate.average : null
+    });
+  };
+
+  for (let i = 1; i < points.length; i++) {
+    if (movingFlags[i]) current.movingSeconds += (points[i].time - points[i - 1].time) / 1000;
+
+    if (points[i].cumulative - current.startDistance >= splitDistance) {
+      closeSplit(i, points[i].cumulative);
+      current = { startIndex: i, movingSeconds: 0, startDistance: points[i].cumulative };
+    }
+  }
+
+  // Keep a final partial split if it covered any real distance
+  const last = points[points.length - 1];
+  if (last.cumulative - current.startDistance >= 50) {
+    closeSplit(points.length - 1, last.cumulative);
+  }
+
+  return splits;
+};
+
+/**
+ * Thin the route to at most MAX_ROUTE_POINTS [lon, lat] pairs (GeoJSON order)
+ */
+const simplifyRoute = (points) => {
+  const positioned = points.filter(hasPosition);
+  const step = Math.max(Math.ceil(positioned.length / MAX_ROUTE_POINTS), 1);
+
+  const coordinates = positioned
+    .filter((point, index) => index % step === 0 || index === positioned.length - 1)
+    .map(point => [Math.round(point.lon * 1e6) / 1e6, Math.round(point.lat * 1e6) / 1e6]);
+
+  return coordinates.length >= 2 ? { type: 'LineString', coordinates } : undefined;
+};
+
+/**
+ * Summarise a recorded track. Points without a timestamp are dropped;
+ * returns null when fewer than two timed points remain.
+ */
+const summarizeTrack = (rawPoints, { sport } = {}) => {
+  const timed = rawPoints
+    .filter(point => point.time instanceof Date)
+    .sort((a, b) => a.time - b.time);
+  if (timed.length < 2) return null;
+
+  const points = withCumulativeDistance(timed);
+  const distance = points[points.length - 1].cumulative;
+
+  // A segment is moving when it covers ground at walking pace or faster
+  const movingFlags = points.map((point, i) => {
+    if (i === 0) return false;
+    const seconds = (point.time - points[i - 1].time) / 1000;
+    return seconds > 0 && (point.cumulative - points[i - 1].cumulative) / seconds >= MIN_MOVING_SPEED;
+  });
+
+  let movingSeconds = 0;
+  let movingDistance = 0;
+  let maxSpeed = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (!movingFlags[i]) continue;
+    const seconds = (points[i].time - points[i - 1].time) / 1000;
+    const meters = points[i].cumulative - points[i - 1].cumulative;
+    movingSeconds += seconds;
+    movingDistance += meters;
+    maxSpeed = Math.max(maxSpeed, meters / seconds);
+  }
+
+  const elevation = calculateElevation(points);
+
+  return {
+    startTime: points[0].time,
+    endTime: points[points.length - 1].time,
+    elapsedSeconds: Math.round((points[points.length - 1].time - points[0].time) / 1000),
+    movingSeconds: Math.round(movingSeconds),
+    distanceMeters: Math.round(distance),
+    elevationGainMeters: elevation.gain,
+    elevationLossMeters: elevation.loss,
+    averagePaceSecondsPerKm: paceFor(movingSeconds, movingDistance),
+    averageSpeedKmh: speedFor(movingSeconds, movingDistance),
+    maxSpeedKmh: Math.round(maxSpeed * 3.6 * 10) / 10,
+    splits: distance > 0
+      ? calculateSplits(points, movingFlags, SPLIT_DISTANCE[sport] || SPLIT_DISTANCE.default)
+      : [],
+    heartRate: summarizeHeartRate(points),
+    route: simplifyRoute(points)
+  };
+};
+
+module.exports = {
+  haversineDistance,
+  summarizeTrack
+};
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * Five-zone model as fractions of heart rate reserve (max - resting)
+ * when resting HR is known, otherwise of max HR.
+ */
+const HR_ZONES = [
+  { zone: 1, key: 'recovery', label: 'Recovery', low: 0.5, high: 0.6 },
+  { zone: 2, key: 'endurance', label: 'Endurance', low: 0.6, high: 0.7 },
+  { zone: 3, key: 'tempo', label: 'Tempo', low: 0.7, high: 0.8 },
+  { zone: 4, key: 'threshold', label: 'Threshold', low: 0.8, high: 0.9 },
+  { zone: 5, key: 'maximum', label: 'Maximum', low: 0.9, high: 1 }
+];
+
+const HEART_RATE_CONTEXTS = ['resting', 'active', 'exercise'];
+
+const DEFAULT_AGE = 35;
+
+/**
+ * Age-predicted max heart rate (Tanaka: 208 - 0.7 x age)
+ */
+const estimateMaxHeartRate = (age) => Math.round(208 - 0.7 * age);
+
+/**
+ * Max heart rate for a user: their own override, otherwise predicted
+ * from age. `source` says which was used.
+ */
+const getMaxHeartRate = ({ age, maxHeartRate } = {}) => {
+  if (maxHeartRate) return { maxHeartRate, source: 'override' };
+  if (age) return { maxHeartRate: estimateMaxHeartRate(age), source: 'age' };
+  return { maxHeartRate: estimateMaxHeartRate(DEFAULT_AGE), source: 'default' };
+};
+
+/**
+ * Zone boundaries in bpm. With a resting heart rate the Karvonen
+ * formula is used: resting + fraction x (max - resting).
+ */
+const getHeartRateZones = (maxHeartRate, restingHeartRate) => {
+  const floor = restingHeartRate && restingHeartRate < maxHeartRate ? restingHeartRate : 0;
+  const toBpm = (fraction) => Math.round(floor + fraction * (maxHeartRate - floor));
+
+  return HR_ZONES.map(({ zone, key, label, low, high }) => ({
+    zone,
+    key,
+    label,
+    min: toBpm(low),
+    max: toBpm(high)
+  }));
+};
+
+/**
+ * Zone number for a reading (0 when below zone 1). Readings above max
+ * HR count as zone 5.
+ */
+const classifyHeartRate = (bpm, zones) => {
+  for (let i = zones.length - 1; i >= 0; i--) {
+    if (bpm >= zones[i].min) return zones[i].zone;
+  }
+  return 0;
+};
+
+module.exports = {
+  HR_ZONES,
+  HEART_RATE_CONTEXTS,
+  estimateMaxHeartRate,
+  getMaxHeartRate,
+  getHeartRateZones,
+  classifyHeartRate
+};
\ No newline at end of file
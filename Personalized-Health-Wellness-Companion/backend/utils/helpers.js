@@ -75,6 +75,43 @@ const sanitizeInput = (input) => {
   return input.trim().replace(/[<>]/g, '');
 };
 
+/**
+ * Derive platform and browser names from a user-agent string
+ */
+const parseUserAgent = (userAgent = '') => {
+  const platforms = [
+    ['Android', /android/i],
+    ['iOS', /iphone|ipad|ipod/i],
+    ['Windows', /windows/i],
+    ['macOS', /macintosh|mac os x/i],
+    ['Linux', /linux/i]
+  ];
+  const browsers = [
+    ['Edge', /edg\//i],
+    ['Opera', /opr\/|opera/i],
+    ['Chrome', /chrome|crios/i],
+    ['Firefox', /firefox|fxios/i],
+    ['Safari', /safari/i]
+  ];
+
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+
+  return {
+    platform: platform ? platform[0] : 'Unknown',
+    browser: browser ? browser[0] : 'Unknown'
+  };
+};
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ */
+const createHttpError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
 /**
  * Calculate workout difficulty based on user level
  */
@@ -115,6 +152,8 @@ module.exports = {
   formatDate,
   generateVerificationCode,
   sanitizeInput,
+  parseUserAgent,
+  createHttpError,
   getWorkoutDifficulty,
   parseAIPlan
 };
\ No newline at end of file
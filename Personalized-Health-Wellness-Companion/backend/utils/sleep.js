@@ -0,0 +1,102 @@
+/**
+ * Sleep score components and their weight out of 100. Stage data is
+ * optional; without it the other components are scaled up to 100.
+ */
+const SLEEP_SCORE_WEIGHTS = {
+  duration: 40,
+  efficiency: 25,
+  continuity: 15,
+  stages: 20
+};
+
+// Share of sleep time a healthy adult typically spends in each stage
+const TARGET_DEEP_SHARE = 0.13;
+const TARGET_REM_SHARE = 0.2;
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+/**
+ * Minutes actually asleep: the tracked light/deep/REM stages when
+ * available, otherwise time in bed minus the time taken to fall asleep
+ */
+const getAsleepMinutes = ({ timeInBedMinutes, sleepLatency = 0, stages }) => {
+  const { light = 0, deep = 0, rem = 0 } = stages || {};
+  if (light + deep + rem > 0) return light + deep + rem;
+  return Math.max(timeInBedMinutes - sleepLatency, 0);
+};
+
+const hasStageData = (stages) => {
+  const { light = 0, deep = 0, rem = 0 } = stages || {};
+  return light + deep + rem > 0;
+};
+
+/**
+ * Score a night's sleep from 0 to 100 against the user's target hours.
+ * Returns the score and the points earned by each component.
+ */
+const calculateSleepScore = ({ asleepMinutes, timeInBedMinutes, awakenings = 0, stages }, targetHours = 8) => {
+  const targetMinutes = targetHours * 60;
+  const components = {};
+
+  // Full marks from the target up to 2h over it; nothing at half the target
+  const oversleep = Math.max(asleepMinutes - targetMinutes - 120, 0);
+  components.duration = asleepMinutes >= targetMinutes
+    ? Math.max(1 - oversleep / 240, 0.5)
+    : clamp((asleepMinutes / targetMinutes - 0.5) / 0.5);
+
+  // 85%+ of time in bed asleep is normal; 65% or less scores nothing
+  const efficiency = timeInBedMinutes > 0 ? asleepMinutes / timeInBedMinutes : 0;
+  components.efficiency = clamp((efficiency - 0.65) / 0.2);
+
+  // One awakening is normal, each extra one costs 15%
+  components.continuity = clamp(1 - Math.max(awakenings - 1, 0) * 0.15);
+
+  if (hasStageData(stages) && asleepMinutes > 0) {
+    const deepShare = (stages.deep || 0) / asleepMinutes;
+    const remShare = (stages.rem || 0) / asleepMinutes;
+    components.stages = (clamp(deepShare / TARGET_DEEP_SHARE) + clamp(remShare / TARGET_REM_SHARE)) / 2;
+  }
+
+  const availableWeight = Object.keys(components)
+    .reduce((total, key) => total + SLEEP_SCORE_WEIGHTS[key], 0);
+
+  const breakdown = {};
+  let points = 0;
+  for (const [key, value] of Object.entries(components)) {
+    breakdown[key] = Math.round(value * SLEEP_SCORE_WEIGHTS[key]);
+    points += value * SLEEP_SCORE_WEIGHTS[key];
+  }
+
+  return {
+    score: Math.round(points / availableWeight * 100),
+    breakdown: {
+      ...breakdown,
+      stages: breakdown.stages ?? null
+    }
+  };
+};
+
+/**
+ * Clock time as minutes after local noon, so bedtimes either side of
+ * midnight (23:30, 00:30) sit next to each other
+ */
+const toMinutesAfterNoon = ({ hour, minute }) => (hour * 60 + minute + 720) % 1440;
+
+const fromMinutesAfterNoon = (minutes) => Math.round(minutes + 720) % 1440;
+
+/**
+ * Format minutes after midnight as HH:MM
+ */
+const formatClockTime = (minutes) => {
+  const hours = Math.floor(minutes / 60) % 24;
+  return `${String(hours).padStart(2, '0')}:${String(Math.round(minutes % 60)).padStart(2, '0')}`;
+};
+
+module.exports = {
+  SLEEP_SCORE_WEIGHTS,
+  getAsleepMinutes,
+  calculateSleepScore,
+  toMinutesAfterNoon,
+  fromMinutesAfterNoon,
+  formatClockTime
+};
\ No newline at end of file
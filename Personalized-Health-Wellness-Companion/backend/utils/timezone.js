@@ -0,0 +1,181 @@
+/**
+ * Time zone helpers built on Intl (IANA zone names, e.g. "Asia/Tokyo")
+ */
+const formatters = new Map();
+
+/**
+ * Fall back to UTC for missing or unknown zone names
+ */
+const resolveTimeZone = (timeZone) => {
+  if (!timeZone) return 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(resolveTimeZone(timeZone)).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  return parts;
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC Date.
+ * Times skipped by a DST change are moved forward (02:30 -> 03:30);
+ * repeated times resolve to the first occurrence.
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Try the offsets either side of a possible transition
+  const candidates = [
+    wallClock - getTimeZoneOffset(new Date(wallClock - 24 * 60 * 60 * 1000), timeZone),
+    wallClock - getTimeZoneOffset(new Date(wallClock + 24 * 60 * 60 * 1000), timeZone)
+  ];
+  const valid = candidates.filter(time => time + getTimeZoneOffset(new Date(time), timeZone) === wallClock);
+
+  return new Date(valid.length > 0 ? Math.min(...valid) : Math.max(...candidates));
+};
+
+/**
+ * Calendar day (YYYY-MM-DD) of an instant in a time zone
+ */
+const formatLocalDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Midday of a calendar day in a time zone - a stable timestamp for daily totals
+ */
+const getLocalMidday = (localDay, timeZone) => {
+  const [year, month, day] = localDay.split('-').map(Number);
+  return zonedTimeToUtc({ year, month, day, hour: 12 }, timeZone);
+};
+
+/**
+ * Shift a calendar date by whole days
+ */
+const addCalendarDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+/**
+ * UTC bounds of a calendar day in a time zone: `start` is local midnight
+ * and `end` the next local midnight (exclusive). `dayOffset` shifts to
+ * an earlier or later day, e.g. -1 for yesterday. Days are 23 or 25
+ * hours long across DST changes.
+ */
+const getDayBounds = (date, timeZone, dayOffset = 0) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const target = addCalendarDays({ year, month, day }, dayOffset);
+
+  return {
+    start: zonedTimeToUtc(target, timeZone),
+    end: zonedTimeToUtc(addCalendarDays(target, 1), timeZone)
+  };
+};
+
+/**
+ * UTC bounds covering the last `days` calendar days (including today)
+ * in a time zone
+ */
+const getLocalDateRange = (days, timeZone, now = new Date()) => {
+  return {
+    start: getDayBounds(now, timeZone, -(days - 1)).start,
+    end: getDayBounds(now, timeZone).end
+  };
+};
+
+/**
+ * Number of calendar days from `earlier` to `later` in a time zone
+ */
+const differenceInLocalDays = (later, earlier, timeZone) => {
+  const toUtcDay = (date) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtcDay(later) - toUtcDay(earlier)) / (24 * 60 * 60 * 1000));
+};
+
+/**
+ * Local start of the day, ISO week (Monday) or month containing an
+ * instant, as wall-clock parts
+ */
+const getBucketStartParts = (date, bucket, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+
+  if (bucket === 'month') return { year, month, day: 1 };
+  if (bucket === 'week') {
+    const weekday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+    return addCalendarDays({ year, month, day }, -weekday);
+  }
+  return { year, month, day };
+};
+
+/**
+ * Start instants of every day/week/month bucket between two dates,
+ * with boundaries at local midnight in the time zone
+ */
+const getBucketStarts = (start, end, bucket, timeZone) => {
+  const starts = [];
+  let parts = getBucketStartParts(start, bucket, timeZone);
+  let bucketStart = zonedTimeToUtc(parts, timeZone);
+
+  while (bucketStart <= end) {
+    starts.push(bucketStart);
+    parts = bucket === 'month'
+      ? { year: parts.year + Math.floor(parts.month / 12), month: (parts.month % 12) + 1, day: 1 }
+      : addCalendarDays(parts, bucket === 'week' ? 7 : 1);
+    bucketStart = zonedTimeToUtc(parts, timeZone);
+  }
+
+  return starts;
+};
+
+module.exports = {
+  resolveTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  formatLocalDay,
+  getLocalMidday,
+  getDayBounds,
+  getLocalDateRange,
+  differenceInLocalDays,
+  getBucketStarts
+};
\ No newline at end of file
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP = 30; // seconds
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret (base32)
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Calculate the HOTP code for a counter (RFC 4226)
+ */
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Get the current TOTP time step
+ */
+const getTimeStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / TIME_STEP);
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift of `window` steps.
+ * Returns the matched time step, or null when the code is invalid
+ * or was already used (step <= lastUsedStep).
+ */
+const verifyTotp = (secret, code, { window = 1, lastUsedStep = -1 } = {}) => {
+  if (!secret || !/^\d{6}$/.test(String(code))) return null;
+
+  const currentStep = getTimeStep();
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    if (step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(generateHotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build otpauth:// provisioning URI for authenticator apps / QR codes
+ */
+const buildOtpauthUrl = (secret, accountName, issuer = 'Health & Wellness') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(TIME_STEP)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Hash a recovery code for storage
+ */
+const hashRecoveryCode = (code) => {
+  return crypto
+    .createHash('sha256')
+    .update(code.replace(/-/g, '').toLowerCase())
+    .digest('hex');
+};
+
+/**
+ * Generate one-time recovery codes (returns raw codes and their hashes)
+ */
+const generateRecoveryCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+module.exports = {
+  generateSecret,
+  generateHotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUrl,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};
\ No newline at end of file
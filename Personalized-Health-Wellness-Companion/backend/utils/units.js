@@ -0,0 +1,133 @@
+/**
+ * Canonical unit stored for each biometric type
+ */
+const CANONICAL_UNITS = {
+  weight: 'kg',
+  heart_rate: 'bpm',
+  sleep_duration: 'hours',
+  blood_pressure: 'mmHg',
+  steps: 'steps',
+  calories_consumed: 'kcal',
+  calories_burned: 'kcal',
+  water_intake: 'ml',
+  body_fat: '%',
+  muscle_mass: 'kg',
+  exercise_duration: 'minutes'
+};
+
+/**
+ * Units shown to users who prefer imperial (everything else is shown canonical)
+ */
+const IMPERIAL_UNITS = {
+  weight: 'lb',
+  muscle_mass: 'lb',
+  water_intake: 'fl oz'
+};
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+/**
+ * Multipliers from a unit (lower-case alias) to its canonical unit
+ */
+const CONVERSIONS = {
+  kg: { kg: 1, g: 0.001, lb: 0.45359237, lbs: 0.45359237, st: 6.35029318 },
+  bpm: { bpm: 1, 'count/min': 1, '/min': 1 },
+  hours: { hours: 1, hour: 1, hr: 1, h: 1, minutes: 1 / 60, min: 1 / 60, seconds: 1 / 3600, s: 1 / 3600 },
+  mmhg: { mmhg: 1 },
+  steps: { steps: 1, step: 1, count: 1 },
+  kcal: { kcal: 1, cal: 1, kj: 0.239005736 },
+  ml: { ml: 1, l: 1000, 'fl_oz_us': 29.5735295625, 'fl oz': 29.5735295625, 'fl_oz_imp': 28.4130625, 'cup_us': 236.5882365 },
+  '%': { '%': 1, percent: 1 },
+  minutes: { minutes: 1, min: 1, hours: 60, hr: 60, h: 60, seconds: 1 / 60, s: 1 / 60 }
+};
+
+/**
+ * Convert a value to the canonical unit for its type.
+ * Returns null when the unit is not recognised for that type.
+ * Types without a canonical unit (e.g. mood) are passed through.
+ */
+const toCanonicalUnit = (type, value, unit) => {
+  const canonical = CANONICAL_UNITS[type];
+  if (!canonical) return { value, unit };
+
+  const factor = CONVERSIONS[canonical.toLowerCase()][String(unit || '').trim().toLowerCase()];
+  if (factor === undefined) return null;
+
+  // Keep extra precision so converting back for display round-trips
+  return {
+    value: Math.round(value * factor * 10000) / 10000,
+    unit: canonical
+  };
+};
+
+/**
+ * Units accepted on write for a type (null when any unit is accepted)
+ */
+const getAcceptedUnits = (type) => {
+  const canonical = CANONICAL_UNITS[type];
+  return canonical ? Object.keys(CONVERSIONS[canonical.toLowerCase()]) : null;
+};
+
+/**
+ * Unit a type is displayed in for a unit system
+ */
+const getDisplayUnit = (type, unitSystem = 'metric') => {
+  if (unitSystem === 'imperial' && IMPERIAL_UNITS[type]) {
+    return IMPERIAL_UNITS[type];
+  }
+  return CANONICAL_UNITS[type];
+};
+
+/**
+ * Convert a canonical value to the user's unit system
+ */
+const fromCanonicalUnit = (type, value, unitSystem = 'metric') => {
+  const canonical = CANONICAL_UNITS[type];
+  const unit = getDisplayUnit(type, unitSystem);
+  if (!canonical || value === null || value === undefined) {
+    return { value, unit: unit || null };
+  }
+
+  const factor = CONVERSIONS[canonical.toLowerCase()][unit.toLowerCase()];
+  return {
+    value: Math.round((value / factor) * 100) / 100,
+    unit
+  };
+};
+
+/**
+ * Convert a canonical value to a specific unit for its type.
+ * Returns null when the unit is not recognised for that type.
+ */
+const convertCanonicalTo = (type, value, unit) => {
+  const canonical = CANONICAL_UNITS[type];
+  if (!canonical) return value;
+
+  const factor = CONVERSIONS[canonical.toLowerCase()][String(unit || '').trim().toLowerCase()];
+  if (factor === undefined) return null;
+
+  return Math.round((value / factor) * 100) / 100;
+};
+
+/**
+ * Convert a stored value (canonical, or a legacy unit) for display.
+ * Returns null when the stored unit can't be converted.
+ */
+const toDisplayUnit = (type, value, unit, unitSystem = 'metric') => {
+  const canonical = toCanonicalUnit(type, value, unit);
+  if (!canonical) return null;
+  if (!CANONICAL_UNITS[type]) return canonical;
+
+  return fromCanonicalUnit(type, canonical.value, unitSystem);
+};
+
+module.exports = {
+  CANONICAL_UNITS,
+  UNIT_SYSTEMS,
+  toCanonicalUnit,
+  fromCanonicalUnit,
+  convertCanonicalTo,
+  toDisplayUnit,
+  getAcceptedUnits,
+  getDisplayUnit
+};
\ No newline at end of file